@@ -0,0 +1,39 @@
+// ---------- Sync relay ----------
+// A tiny WebSocket relay for multi-device sync (see src/sync.js). Run it on a
+// laptop on the same network as the phones:
+//   npm run relay            (PORT=8787 by default)
+// and point each device's sync settings at ws://<laptop-ip>:8787.
+// It keeps no game state: every message is passed on to the other devices
+// in the same room (?room=<name>).
+import { WebSocketServer, WebSocket } from "ws";
+
+const port = Number(process.env.PORT) || 8787;
+const rooms = new Map(); // room → Set of sockets
+// Snapshots can carry a long event log, but nothing legitimate comes close
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const wss = new WebSocketServer({ port, maxPayload: MAX_MESSAGE_BYTES });
+
+wss.on("connection", (socket, req) => {
+  const room =
+    new URL(req.url, "http://relay").searchParams.get("room")?.trim() || "default";
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  const peers = rooms.get(room);
+  peers.add(socket);
+  console.log(`+ ${room} (${peers.size} connected)`);
+
+  socket.on("message", (data, isBinary) => {
+    for (const peer of peers) {
+      if (peer !== socket && peer.readyState === WebSocket.OPEN) {
+        peer.send(data, { binary: isBinary });
+      }
+    }
+  });
+  socket.on("close", () => {
+    peers.delete(socket);
+    if (!peers.size) rooms.delete(room);
+    console.log(`- ${room} (${peers.size} connected)`);
+  });
+});
+
+console.log(`Sync relay listening on ws://localhost:${port}`);
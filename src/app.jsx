@@ -1,4 +1,5 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useMemo, useReducer, useRef, useState } from "react";
+import { createPortal } from "react-dom";
 import {
   BarChart,
   Bar,
@@ -7,7 +8,68 @@ import {
   Tooltip,
   ResponsiveContainer,
 } from "recharts";
-import { motion, AnimatePresence, LayoutGroup } from "framer-motion";
+import {
+  motion,
+  AnimatePresence,
+  LayoutGroup,
+  Reorder,
+  useDragControls,
+} from "framer-motion";
+import {
+  buildRotationPlan,
+  nextPlannedSub,
+  plannedMsSoFar,
+  sliceIndexAt,
+} from "./rotation.js";
+import {
+  FORMAT_PRESETS,
+  formatById,
+  labelFor,
+  normalizeFormat,
+} from "./formats.js";
+import { parsePositions, parseRules, rulesToText } from "./positions.js";
+import { availableWindows } from "./fairness.js";
+import {
+  RULE_TYPES,
+  checkPlayer,
+  describeRule,
+  overallStatus,
+} from "./compliance.js";
+import { applyUpdate, registerServiceWorker } from "./pwa.js";
+import QRCode from "qrcode";
+import {
+  broadcastTransport,
+  createSyncSession,
+  relayTransport,
+  spectatorLink,
+} from "./sync.js";
+import {
+  QR_MAX_CHARS,
+  decodeSnapshot,
+  encodeSnapshot,
+  snapshotFromHash,
+  snapshotLink,
+} from "./snapshot.js";
+import {
+  parseRosterCsv,
+  parseRosterFile,
+  rosterFileJson,
+  uniqueRosterName,
+} from "./rosterIO.js";
+import { gameFigures, gameReportHtml, reportChartSvg } from "./report.js";
+import { minutesCsv, minutesJson } from "./gameExport.js";
+import { effectiveEvents } from "./events.js";
+import {
+  act,
+  clamp,
+  createGame,
+  gameMetrics,
+  gameReducer,
+  isUnavailable,
+  periodLengthFor,
+} from "./engine.js";
+import { msToClock } from "./time.js";
+import { flushStorage, readStore, validateState, writeStore } from "./storage.js";
 import {
   Play,
   Pause,
@@ -30,23 +92,81 @@ import {
   PinOff,
   UserX,
   UserCheck,
+  Undo2,
+  Flag,
+  History,
+  Trash2,
+  X,
+  CalendarClock,
+  AlertTriangle,
+  ClipboardCheck,
+  Printer,
+  GripVertical,
+  UserPlus,
+  Share2,
+  QrCode,
+  RefreshCw,
+  Eye,
+  FileText,
 } from "lucide-react";
 
 // ---------- Utilities ----------
-const pad = (n) => String(n).padStart(2, "0");
-const msToClock = (ms) => {
-  const s = Math.max(0, Math.floor(ms / 1000));
-  const mm = Math.floor(s / 60);
-  const ss = s % 60;
-  return `${pad(mm)}:${pad(ss)}`;
-};
-const labelFor = (format, idx) =>
-  format === "Quarters" ? `Q${idx + 1}` : `H${idx + 1}`;
-const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
 
-// Storage keys
-const STORAGE_KEY_STATE = "pt_state_v2"; // bump since schema changed
-const STORAGE_KEY_ROSTERS = "pt_rosters_v1";
+// Stable player ids survive reordering and removal (older saves used 1..n)
+const newPlayerId = () =>
+  `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+// Tells synced devices a new game from the one they had, and whose event is
+// whose (see sync.js)
+const newGameId = () =>
+  `g${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+const newDeviceId = () =>
+  `d${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// A player with a clean game sheet; `fields` carries profile and flags
+const makePlayer = (numPeriods, fields = {}) => ({
+  id: newPlayerId(),
+  name: "Player",
+  number: "",
+  notes: "",
+  color: "",
+  positions: [],
+  active: false,
+  pinned: false,
+  absent: false,
+  totalMs: 0,
+  periodMs: Array(numPeriods).fill(0),
+  points: Array(numPeriods).fill(0),
+  fouls: 0,
+  fouledOutAt: null,
+  availability: fields.absent ? [] : [{ from: 0, to: null }],
+  ...fields,
+});
+
+// Season records are keyed by player id; ledgers saved before stable ids
+// used names
+const seasonRecord = (ledger, p) => ledger[p.id] ?? ledger[p.name];
+
+// Profile fields kept with saved rosters
+const profileOf = (p) => ({
+  id: p.id,
+  name: p.name,
+  number: p.number,
+  notes: p.notes,
+  color: p.color,
+  positions: p.positions,
+  absent: p.absent,
+});
+
+// KPI tooltips: both figures split the on-court minutes between the players
+// available at each moment, for someone here the whole game
+const FAIR_SHARE_TIP = "Fair share of the minutes so far, split among who was there";
+const GOAL_TIP = "Fair share of a full game, split among who is here";
+
+// Warn this long before a player reaches the max stint
+const STINT_WARN_MS = 60 * 1000;
+
+// Device settings kept outside the versioned stores (see storage.js)
+const STORAGE_KEY_SYNC = "pt_sync_v1";
 
 // Default roster names (11)
 const DEFAULT_NAMES = [
@@ -66,40 +186,90 @@ const DEFAULT_NAMES = [
 // ---------- App ----------
 export default function PlayingTimeApp() {
   // Config (mobile-first sensible defaults)
-  const [numPlayers, setNumPlayers] = useState(DEFAULT_NAMES.length);
   const [onCourt, setOnCourt] = useState(5);
-  const [format, setFormat] = useState("Quarters");
+  const [format, setFormat] = useState("Quarters"); // format id (see formats.js)
   const [periodMinutes, setPeriodMinutes] = useState(8);
+  // Team-defined formats, plus the one being edited (null when closed)
+  const [customFormats, setCustomFormats] = useState(() => loadFormats());
+  const [formatDraft, setFormatDraft] = useState(null);
 
   // Roster storage
   const [rosterName, setRosterName] = useState("My Roster");
   const [savedRosters, setSavedRosters] = useState(() => loadRosters());
+  const [opponent, setOpponent] = useState("");
+
+  // Archive of finished games (newest first)
+  const [gameHistory, setGameHistory] = useState(() => loadHistory());
+  const [viewingGameId, setViewingGameId] = useState(null);
 
   // Derived
-  const numPeriods = format === "Quarters" ? 4 : 2;
+  const formatDef = useMemo(
+    () => formatById(format, customFormats),
+    [format, customFormats]
+  );
+  const regulationPeriods = formatDef.periods;
   const periodLengthMs = periodMinutes * 60 * 1000;
+  const otLengthMs = formatDef.otMinutes * 60 * 1000;
+
+  // Whether overtime minutes count toward goal/ideal and player deltas
+  const [otCountsTowardGoal, setOtCountsTowardGoal] = useState(true);
+  // League stint rules in minutes (0 = off): longest continuous stint on
+  // court and shortest rest after coming off
+  const [maxStintMinutes, setMaxStintMinutes] = useState(0);
+  const [minRestMinutes, setMinRestMinutes] = useState(0);
+  const maxStintMs = maxStintMinutes * 60 * 1000;
+  const minRestMs = minRestMinutes * 60 * 1000;
 
-  // Runtime state
-  const [currentPeriod, setCurrentPeriod] = useState(0);
-  const [periodElapsedMs, setPeriodElapsedMs] = useState(() =>
-    Array(numPeriods).fill(0)
+  // Runtime state: players, clock and event log, run by the game engine (see
+  // engine.js). The clock runs off a wall-clock anchor, so throttled tabs,
+  // locked phones and reloads catch up on the next tick.
+  const gameConfig = useMemo(
+    () => ({
+      format: formatDef,
+      periodLengthMs,
+      onCourt,
+      otCountsTowardGoal,
+      maxStintMs,
+      minRestMs,
+    }),
+    [formatDef, periodLengthMs, onCourt, otCountsTowardGoal, maxStintMs, minRestMs]
   );
-  const [players, setPlayers] = useState(() =>
-    Array.from({ length: DEFAULT_NAMES.length }, (_, i) => ({
-      id: i + 1,
-      name: DEFAULT_NAMES[i] ?? `Player ${i + 1}`,
-      active: i < onCourt,
-      pinned: false,
-      absent: false,
-      totalMs: 0,
-      periodMs: Array(numPeriods).fill(0),
-    }))
+  const [game, dispatch] = useReducer(gameReducer, gameConfig, (config) =>
+    createGame({
+      gameId: newGameId(),
+      deviceId: newDeviceId(),
+      config,
+      players: DEFAULT_NAMES.map((name, i) =>
+        makePlayer(regulationPeriods, { id: i + 1, name, active: i < onCourt })
+      ),
+    })
   );
-  const [running, setRunning] = useState(false);
-  const lastTickRef = useRef(null);
+  const {
+    gameId,
+    players,
+    overtimes,
+    currentPeriod,
+    periodElapsedMs,
+    running,
+    clockAnchor,
+    timeoutsUsed,
+    oppTimeoutsUsed,
+    teamFouls,
+    oppPoints,
+    events,
+  } = game;
+  // Overtimes are real periods appended after regulation
+  const numPeriods = regulationPeriods + overtimes;
+  const numPlayers = players.length;
+  useEffect(() => dispatch(act.configure(gameConfig)), [gameConfig]);
 
   // Baseline toggle for progress bars
   const [baseline, setBaseline] = useState("goal"); // 'goal' (full game / players) or 'ideal' (so far)
+  // Auto-fill priority: 'game' (this game's minutes) or 'season' (also carry season deficits)
+  const [fillMode, setFillMode] = useState("game");
+  // Planned rotation for the whole game (see rotation.js)
+  const [rotationPlan, setRotationPlan] = useState(null);
+  const [sliceMinutes, setSliceMinutes] = useState(4);
   // View mode for period columns: show only current period or completed periods
   const [periodView, setPeriodView] = useState("current"); // 'current' | 'completed'
   // Expanded accordion cards
@@ -114,79 +284,187 @@ export default function PlayingTimeApp() {
   const [toast, setToast] = useState(null);
   const toastTimeoutRef = useRef(null);
 
-  // New game confirmation
+  // New game / end game confirmation
   const [showNewGameConfirm, setShowNewGameConfirm] = useState(false);
+  const [showEndGameConfirm, setShowEndGameConfirm] = useState(false);
+  // Roster file awaiting confirmation: { rosters, errors, onConflict }
+  const [rosterImport, setRosterImport] = useState(null);
+  const rosterFileRef = useRef(null);
 
   // Persistence flag - don't save until after initial load
   const hasLoadedRef = useRef(false);
 
-  // -------- Timeouts & Overtime (single team; independent of player timer) --------
-  const BASE_TIMEOUTS = 5; // full timeouts per game
-  const OT_LENGTH_MS = 3 * 60 * 1000; // 3 minutes per overtime
-  const [timeoutsUsed, setTimeoutsUsed] = useState(0);
-  const [overtimes, setOvertimes] = useState(0);
-  const timeoutsCap = BASE_TIMEOUTS + overtimes;
-  const timeoutsRemaining = Math.max(0, timeoutsCap - timeoutsUsed);
-  const useTimeout = () => setTimeoutsUsed((n) => Math.min(timeoutsCap, n + 1));
-  const undoTimeout = () => setTimeoutsUsed((n) => Math.max(0, n - 1));
-  const addOvertime = () => setOvertimes((x) => x + 1);
-
-  // Optional standalone OT timer
-  const [otElapsedMs, setOtElapsedMs] = useState(0);
-  const [otRunning, setOtRunning] = useState(false);
-  const otLastRef = useRef(null);
-  useEffect(() => {
-    if (!otRunning) return;
-    otLastRef.current = performance.now();
-    const iv = setInterval(() => {
-      const now = performance.now();
-      const last = otLastRef.current ?? now;
-      const delta = now - last;
-      otLastRef.current = now;
-      setOtElapsedMs((prev) => Math.min(OT_LENGTH_MS, prev + delta));
-    }, 200);
-    return () => clearInterval(iv);
-  }, [otRunning]);
+  // Offline app: a newer version waiting to take over (applied on request,
+  // never while the clock runs)
+  const [updateWorker, setUpdateWorker] = useState(null);
+  useEffect(() => registerServiceWorker(setUpdateWorker), []);
 
-  // -------- Persistence (full game state) --------
+  // Multi-device sync (see sync.js). The config is per device and never synced:
+  // { enabled, transport: "broadcast" | "relay", room, url }
+  const [syncConfig, setSyncConfig] = useState(loadSyncConfig);
+  const [syncStatus, setSyncStatus] = useState("off");
+  const syncRef = useRef(null);
   useEffect(() => {
+    saveSyncConfig(syncConfig);
+    if (!syncConfig.enabled || !syncConfig.room.trim()) return;
+    const room = syncConfig.room.trim();
+    const session = createSyncSession({
+      transport:
+        syncConfig.transport === "relay"
+          ? relayTransport(syncConfig.url, room)
+          : broadcastTransport(room),
+      onStatus: setSyncStatus,
+      onRemoteState: (state) => {
+        // Another device's state gets the same checks as a saved one
+        const checked = validateState(state);
+        if (checked.error) return;
+        restoreState(checked.data);
+      },
+    });
+    // Start from what's saved so a hello can be answered before any change
     const saved = loadState();
-    if (saved) {
-      setNumPlayers(saved.numPlayers ?? DEFAULT_NAMES.length);
-      setOnCourt(saved.onCourt ?? 5);
-      setFormat(saved.format ?? "Quarters");
-      setPeriodMinutes(saved.periodMinutes ?? 8);
-      setRosterName(saved.rosterName ?? "My Roster");
-      // players with full state
-      if (Array.isArray(saved.players) && saved.players.length) {
-        const nP = (saved.format ?? "Quarters") === "Quarters" ? 4 : 2;
-        setPlayers(
-          Array.from({ length: saved.players.length }, (_, i) => {
-            const sp = saved.players?.[i];
-            return {
-              id: i + 1,
-              name: sp?.name ?? DEFAULT_NAMES[i] ?? `Player ${i + 1}`,
-              active: sp?.active ?? i < (saved.onCourt ?? 5),
-              pinned: sp?.pinned ?? false,
-              absent: sp?.absent ?? false,
-              totalMs: sp?.totalMs ?? 0,
-              periodMs: sp?.periodMs ?? Array(nP).fill(0),
-            };
-          })
-        );
-      }
-      // game progress
-      if (Array.isArray(saved.periodElapsedMs)) {
-        setPeriodElapsedMs(saved.periodElapsedMs);
-      }
-      if (typeof saved.currentPeriod === "number") {
-        setCurrentPeriod(saved.currentPeriod);
-      }
-      // timeouts
-      setTimeoutsUsed(saved.timeoutsUsed ?? 0);
-      setOvertimes(saved.overtimes ?? 0);
-      setOtElapsedMs(saved.otElapsedMs ?? 0);
+    if (saved) session.publish(saved);
+    syncRef.current = session;
+    return () => {
+      session.close();
+      syncRef.current = null;
+      setSyncStatus("off");
+    };
+  }, [syncConfig]);
+
+  // Hand-off and backup (see snapshot.js): the shared link/QR for this game,
+  // and a decoded snapshot waiting for the user to confirm replacing ours
+  const [share, setShare] = useState(null); // { kind, link, qr }
+  const [report, setReport] = useState(null); // { html, svg, filename }
+  const [exportDialog, setExportDialog] = useState(null); // { scope, fileType }
+  const [pendingRestore, setPendingRestore] = useState(null);
+  const backupFileRef = useRef(null);
+  // Opening a share link: take the snapshot out of the URL and offer it
+  useEffect(() => {
+    const code = snapshotFromHash();
+    if (!code) return;
+    history.replaceState(null, "", location.pathname + location.search);
+    decodeSnapshot(code).then(setPendingRestore, (err) => showError(err.message));
+  }, []);
+
+  // -------- Timeouts, fouls & Overtime (independent of player timer) --------
+  // side: "us" always; "opp" only in two-team mode
+  // (counts and team fouls are kept by the engine)
+  const [twoTeamMode, setTwoTeamMode] = useState(false);
+  // Per-half allowances only count this half's timeouts; overtime grants
+  // extend the second half
+  const halfOf = (period) => (period < regulationPeriods / 2 ? 0 : 1);
+  const currentHalf = halfOf(currentPeriod);
+  const timeoutsUsedNow = (side) =>
+    formatDef.timeoutsPerHalf
+      ? effectiveEvents(events).filter(
+          (e) =>
+            e.type === "timeout" &&
+            (e.side ?? "us") === side &&
+            halfOf(e.period) === currentHalf
+        ).length
+      : side === "opp"
+      ? oppTimeoutsUsed
+      : timeoutsUsed;
+  const timeoutsCap =
+    formatDef.timeouts +
+    (formatDef.timeoutsPerHalf && currentHalf === 0
+      ? 0
+      : overtimes * formatDef.otTimeouts);
+  const timeoutsRemainingFor = (side) =>
+    Math.max(0, timeoutsCap - timeoutsUsedNow(side));
+  const timeoutsRemaining = timeoutsRemainingFor("us");
+  const useTimeout = (side = "us") => {
+    if (timeoutsRemainingFor(side) <= 0) return;
+    dispatch(act.timeout(side));
+  };
+  const undoTimeout = (side = "us") => dispatch(act.undoTimeout(side));
+
+  // Thresholds of team fouls per period at which the other side shoots the
+  // bonus / double bonus
+  const [bonusAt, setBonusAt] = useState(7);
+  // Personal fouls: reaching the limit benches a player for the rest of the game
+  const [foulLimit, setFoulLimit] = useState(5);
+  // League minimum-playing-time rules (see compliance.js) and the coach's
+  // sign-off on this game's report: { name, at, gameMs }
+  const [playRules, setPlayRules] = useState([]);
+  const [ruleDraft, setRuleDraft] = useState({ type: "fullPeriods", value: 1 });
+  const [signature, setSignature] = useState(null);
+  // Which compliance report is open: "live", "archived" or null
+  const [complianceView, setComplianceView] = useState(null);
+  const [doubleBonusAt, setDoubleBonusAt] = useState(10);
+  const addTeamFoul = (side, delta) => dispatch(act.teamFoul(side, delta));
+  // Whether `side` is shooting bonus free throws this period
+  const bonusFor = (side) => {
+    const fouls = teamFouls[side === "us" ? "opp" : "us"][currentPeriod] || 0;
+    if (fouls >= doubleBonusAt) return "double";
+    if (fouls >= bonusAt) return "bonus";
+    return null;
+  };
+
+  // -------- Scoring --------
+  // Player points live on each player (`points` per period); the opponent
+  // only has a per-period team total
+  const scorePoints = (idx, pts) => dispatch(act.score(idx, pts));
+  const scoreOpponent = (pts) => dispatch(act.scoreOpponent(pts));
+  // Append an overtime period and move the clock to it (stopped)
+  const addOvertime = () => dispatch(act.addOvertime());
+
+  // -------- Persistence (full game state) --------
+  // Apply a saved-state payload: on load, and when a synced device's change
+  // arrives. Both come through validateState, so the game parts (players
+  // included) are already complete and go to the engine as they are.
+  const restoreState = (saved) => {
+    // A custom format from another device joins this device's formats
+    const knownFormats = loadFormats();
+    if (
+      saved.formatDef &&
+      ![...FORMAT_PRESETS, ...knownFormats].some((f) => f.id === saved.format)
+    ) {
+      const next = [...knownFormats, normalizeFormat(saved.formatDef)];
+      saveFormats(next);
+      setCustomFormats(next);
     }
+    setOnCourt(saved.onCourt ?? 5);
+    setFormat(saved.format ?? "Quarters");
+    setPeriodMinutes(saved.periodMinutes ?? 8);
+    setRosterName(saved.rosterName ?? "My Roster");
+    setOpponent(saved.opponent ?? "");
+    setFillMode(saved.fillMode ?? "game");
+    setRotationPlan(saved.rotationPlan ?? null);
+    setSliceMinutes(saved.sliceMinutes ?? 4);
+    setOtCountsTowardGoal(saved.otCountsTowardGoal ?? true);
+    // opponent side
+    setTwoTeamMode(saved.twoTeamMode ?? false);
+    setBonusAt(saved.bonusAt ?? 7);
+    setFoulLimit(saved.foulLimit ?? 5);
+    setMaxStintMinutes(saved.maxStintMinutes ?? 0);
+    setMinRestMinutes(saved.minRestMinutes ?? 0);
+    setPlayRules(saved.playRules ?? []);
+    setSignature(saved.signature ?? null);
+    setDoubleBonusAt(saved.doubleBonusAt ?? 10);
+    // game progress; a clock that was running resumes from its anchor
+    dispatch(
+      act.restore({
+        gameId: saved.gameId,
+        players: saved.players,
+        overtimes: saved.overtimes,
+        periodElapsedMs: saved.periodElapsedMs,
+        currentPeriod: saved.currentPeriod,
+        running: saved.running,
+        clockAnchor: saved.clockAnchor,
+        timeoutsUsed: saved.timeoutsUsed,
+        oppTimeoutsUsed: saved.oppTimeoutsUsed,
+        teamFouls: saved.teamFouls,
+        oppPoints: saved.oppPoints,
+        events: saved.events,
+      })
+    );
+  };
+  useEffect(() => {
+    const { data: saved, notes } = readStore("state");
+    if (saved) restoreState(saved);
+    if (notes.length) showError(notes.join(" "));
     // Mark as loaded AFTER state updates are scheduled
     // Use requestAnimationFrame to wait for React to process the state updates
     requestAnimationFrame(() => {
@@ -197,38 +475,89 @@ export default function PlayingTimeApp() {
   useEffect(() => {
     // Don't save until initial load is complete
     if (!hasLoadedRef.current) return;
-    saveState({
-      numPlayers,
+    const state = {
       onCourt,
       format,
+      // Lets other devices (sync, spectators) use a format they don't have
+      formatDef,
       periodMinutes,
       rosterName,
+      opponent,
+      fillMode,
+      rotationPlan,
+      sliceMinutes,
       players: players.map((p) => ({
+        id: p.id,
         name: p.name,
+        number: p.number,
+        notes: p.notes,
+        color: p.color,
         active: p.active,
         pinned: p.pinned,
         absent: p.absent,
         totalMs: p.totalMs,
         periodMs: p.periodMs,
+        points: p.points,
+        fouls: p.fouls,
+        fouledOutAt: p.fouledOutAt,
+        availability: p.availability,
+        positions: p.positions,
       })),
       currentPeriod,
       periodElapsedMs,
       timeoutsUsed,
       overtimes,
-      otElapsedMs,
-    });
+      otCountsTowardGoal,
+      twoTeamMode,
+      oppTimeoutsUsed,
+      teamFouls,
+      bonusAt,
+      doubleBonusAt,
+      foulLimit,
+      maxStintMinutes,
+      minRestMinutes,
+      playRules,
+      signature,
+      oppPoints,
+      gameId,
+      events,
+      running,
+      clockAnchor,
+    };
+    // While the clock runs the state changes every tick; batch those writes
+    saveState(state, { batch: running });
+    syncRef.current?.publish(state);
   }, [
-    numPlayers,
     onCourt,
     format,
+    formatDef,
     periodMinutes,
     rosterName,
+    opponent,
+    fillMode,
+    rotationPlan,
+    sliceMinutes,
     players,
     currentPeriod,
     periodElapsedMs,
     timeoutsUsed,
     overtimes,
-    otElapsedMs,
+    otCountsTowardGoal,
+    twoTeamMode,
+    oppTimeoutsUsed,
+    teamFouls,
+    bonusAt,
+    doubleBonusAt,
+    foulLimit,
+    maxStintMinutes,
+    minRestMinutes,
+    playRules,
+    signature,
+    oppPoints,
+    gameId,
+    events,
+    running,
+    clockAnchor,
   ]);
 
   // -------- Reactive adjustments --------
@@ -236,100 +565,74 @@ export default function PlayingTimeApp() {
     if (onCourt > numPlayers) setOnCourt(numPlayers);
   }, [numPlayers, onCourt]);
 
+  // Refusals and warnings from the engine
   useEffect(() => {
-    setPeriodElapsedMs((prev) => {
-      const next = Array(numPeriods).fill(0);
-      for (let i = 0; i < Math.min(prev.length, numPeriods); i++)
-        next[i] = prev[i];
-      return next;
-    });
-    setPlayers((prev) =>
-      prev.map((p) => {
-        const arr = Array(numPeriods).fill(0);
-        for (let i = 0; i < Math.min(p.periodMs.length, numPeriods); i++)
-          arr[i] = p.periodMs[i];
-        return { ...p, periodMs: arr };
-      })
-    );
-    setCurrentPeriod((idx) => clamp(idx, 0, numPeriods - 1));
-  }, [numPeriods]);
-
+    if (game.notice) showError(game.notice.message);
+  }, [game.notice]);
+  // Flag who a lineup change swapped, for 5 seconds
   useEffect(() => {
-    setPlayers((prev) => {
-      const next = [...prev];
-      if (numPlayers > prev.length) {
-        for (let i = prev.length; i < numPlayers; i++) {
-          next.push({
-            id: i + 1,
-            name: DEFAULT_NAMES[i] ?? `Player ${i + 1}`,
-            active: i < onCourt,
-            pinned: false,
-            absent: false,
-            totalMs: 0,
-            periodMs: Array(numPeriods).fill(0),
-          });
-        }
-      } else if (numPlayers < prev.length) {
-        next.length = numPlayers;
-      }
-      return next;
+    if (!game.swaps) return;
+    if (swapTimeoutRef.current) clearTimeout(swapTimeoutRef.current);
+    setLastSwaps({
+      swappedIn: new Set(game.swaps.swappedIn),
+      swappedOut: new Set(game.swaps.swappedOut),
     });
-  }, [numPlayers, onCourt, numPeriods]);
+    swapTimeoutRef.current = setTimeout(() => {
+      setLastSwaps({ swappedIn: new Set(), swappedOut: new Set() });
+    }, 5000);
+  }, [game.swaps]);
 
   // -------- Timer loop --------
+  // Ticks hand the engine the wall clock; it credits whatever time passed
   useEffect(() => {
     if (!running) return;
-    lastTickRef.current = performance.now();
-    const iv = setInterval(() => {
-      const now = performance.now();
-      const last = lastTickRef.current ?? now;
-      const delta = now - last;
-      lastTickRef.current = now;
-      setPeriodElapsedMs((prev) => {
-        const next = [...prev];
-        const remaining = periodLengthMs - prev[currentPeriod];
-        const apply = Math.max(0, Math.min(delta, remaining));
-        next[currentPeriod] += apply;
-        if (apply > 0) {
-          setPlayers((prevPlayers) =>
-            prevPlayers.map((p) => {
-              if (!p.active) return p;
-              const pm = [...p.periodMs];
-              pm[currentPeriod] += apply;
-              return { ...p, totalMs: p.totalMs + apply, periodMs: pm };
-            })
-          );
-        }
-        if (next[currentPeriod] >= periodLengthMs) setRunning(false);
-        return next;
-      });
-    }, 250);
-    return () => clearInterval(iv);
-  }, [running, currentPeriod, periodLengthMs]);
+    const tick = () => dispatch(act.tick(Date.now()));
+    tick();
+    const iv = setInterval(tick, 250);
+    const onVisible = () => {
+      if (document.visibilityState === "visible") tick();
+    };
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      clearInterval(iv);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [running]);
+  const startStop = () =>
+    dispatch(running ? act.stop() : act.start(Date.now()));
 
   // -------- Metrics --------
-  const gameElapsedMs = useMemo(
-    () => periodElapsedMs.reduce((a, b) => a + b, 0),
-    [periodElapsedMs]
-  );
-  // Count of players who are not absent (eligible for play)
-  const eligiblePlayerCount = useMemo(
-    () => players.filter((p) => !p.absent).length,
-    [players]
-  );
-  const idealMsSoFar = useMemo(
-    () => (eligiblePlayerCount ? gameElapsedMs * (onCourt / eligiblePlayerCount) : 0),
-    [gameElapsedMs, onCourt, eligiblePlayerCount]
+  const teamPoints = useMemo(
+    () =>
+      Array.from({ length: numPeriods }, (_, i) =>
+        players.reduce((sum, p) => sum + (p.points[i] || 0), 0)
+      ),
+    [players, numPeriods]
   );
-  const fullGameMs = numPeriods * periodLengthMs;
-  const goalPerPlayerFullGameMs = useMemo(
-    () => (eligiblePlayerCount ? (fullGameMs * onCourt) / eligiblePlayerCount : 0),
-    [fullGameMs, eligiblePlayerCount, onCourt]
+  const {
+    gameElapsedMs,
+    fairElapsedMs,
+    eligiblePlayerCount,
+    idealMsSoFar,
+    goalPerPlayerFullGameMs,
+    fairMsFor,
+    idealFor,
+    goalFor,
+    availableMsFor,
+    stintsByPlayer,
+    currentStintMs,
+    restLeftMs,
+    overStint,
+  } = useMemo(
+    () => gameMetrics(game),
+    [game.config, game.players, game.periodElapsedMs, game.events]
   );
+  const baselineFor = (p, which = baseline) =>
+    which === "goal" ? goalFor(p) : idealFor(p);
 
   const periodLabels = useMemo(
-    () => Array.from({ length: numPeriods }, (_, i) => labelFor(format, i)),
-    [numPeriods, format]
+    () => Array.from({ length: numPeriods }, (_, i) => labelFor(formatDef, i)),
+    [numPeriods, formatDef]
   );
 
   const activeCount = players.filter((p) => p.active).length;
@@ -338,156 +641,227 @@ export default function PlayingTimeApp() {
 
   // -------- Actions --------
   const resetAll = () => {
-    setRunning(false);
-    setCurrentPeriod(0);
-    setPeriodElapsedMs(Array(numPeriods).fill(0));
-    setPlayers((prev) =>
-      prev.map((p, i) => ({
-        ...p,
-        active: !p.absent && i < onCourt,
-        pinned: false,
-        totalMs: 0,
-        periodMs: Array(numPeriods).fill(0),
-      }))
+    // Scores, timeouts, fouls and overtime start over with the engine
+    dispatch(act.reset({ gameId: newGameId() }));
+    setSignature(null);
+  };
+  // The game as it stands, in the shape the history archives
+  const gameRecord = () => ({
+    id: Date.now(),
+    date: new Date().toISOString(),
+    opponent: opponent.trim(),
+    rosterName: (rosterName || "Roster").trim(),
+    format,
+    formatDef,
+    periodMinutes,
+    onCourt,
+    periodElapsedMs,
+    timeoutsUsed,
+    overtimes,
+    otCountsTowardGoal,
+    twoTeamMode,
+    oppTimeoutsUsed,
+    teamFouls,
+    players: players.map((p) => ({
+      id: p.id,
+      name: p.name,
+      number: p.number,
+      absent: p.absent,
+      pinned: p.pinned,
+      totalMs: p.totalMs,
+      periodMs: p.periodMs,
+      points: p.points,
+      fouls: p.fouls,
+      fouledOutAt: p.fouledOutAt,
+      availability: p.availability,
+    })),
+    oppPoints,
+    events,
+    playRules,
+    complianceSignature: signature,
+  });
+  // Post-game report for a game record (the live game or an archived one)
+  const openReport = (game) => {
+    const day = game.date.slice(0, 10);
+    const who = (game.opponent || game.rosterName).replace(/[^\w-]+/g, "_");
+    setReport({
+      html: gameReportHtml(game),
+      svg: reportChartSvg(game),
+      filename: `report_${who}_${day}`,
+    });
+  };
+  // Archive the finished game, then start a fresh one
+  const endGame = () => {
+    const game = gameRecord();
+    const next = [game, ...gameHistory];
+    setGameHistory(next);
+    saveHistory(next);
+    // Carry this game's minutes into the saved roster's season ledger
+    const entry = savedRosters[game.rosterName];
+    if (entry) {
+      const season = { ...(entry.season ?? {}) };
+      // Players who left or arrived mid-game are credited what they played
+      // against their prorated share; only those never here are skipped
+      players.forEach((p) => {
+        if (!availableWindows(p).length && !p.totalMs) return;
+        const prev = seasonRecord(season, p) ?? { playedMs: 0, fairMs: 0, games: 0 };
+        delete season[p.name];
+        season[p.id] = {
+          playedMs: prev.playedMs + fairMsFor(p),
+          fairMs: prev.fairMs + idealFor(p),
+          games: prev.games + 1,
+        };
+      });
+      const rosters = { ...savedRosters, [game.rosterName]: { ...entry, season } };
+      setSavedRosters(rosters);
+      saveRosters(rosters);
+    }
+    resetAll();
+  };
+  // Sign an archived game's compliance report after the fact
+  const signArchivedGame = (id, name) => {
+    const next = gameHistory.map((g) =>
+      g.id === id
+        ? { ...g, complianceSignature: { name, at: new Date().toISOString() } }
+        : g
     );
-    // reset timeouts & OT
-    setTimeoutsUsed(0);
-    setOvertimes(0);
-    setOtElapsedMs(0);
-    setOtRunning(false);
-    // clear swap indicators
-    setLastSwaps({ swappedIn: new Set(), swappedOut: new Set() });
+    setGameHistory(next);
+    saveHistory(next);
+  };
+  const deleteGameById = (id) => {
+    const next = gameHistory.filter((g) => g.id !== id);
+    setGameHistory(next);
+    saveHistory(next);
+  };
+  // The format editor works on text for positions and the lineup template
+  const draftFrom = (def) => ({
+    ...def,
+    positions: (def.positions ?? []).join(", "),
+    lineup: rulesToText(def.lineup),
+  });
+  // Pick a format; presets and saved formats bring their own period length
+  const selectFormat = (id) => {
+    if (id === "__custom") {
+      setFormatDraft({
+        ...draftFrom(formatDef),
+        id: `custom-${Date.now()}`,
+        name: "Custom",
+      });
+      return;
+    }
+    const def = formatById(id, customFormats);
+    setFormat(def.id);
+    setPeriodMinutes(def.periodMinutes);
   };
-  const nextPeriod = () => {
-    setRunning(false);
-    setCurrentPeriod((i) => Math.min(i + 1, numPeriods - 1));
+  // Template parts the draft's lineup can't use, shown in the editor
+  const lineupRejected = formatDraft
+    ? parseRules(formatDraft.lineup, parsePositions(formatDraft.positions)).rejected
+    : [];
+  const saveFormatDraft = () => {
+    const def = normalizeFormat(formatDraft);
+    const next = [...customFormats.filter((f) => f.id !== def.id), def];
+    setCustomFormats(next);
+    saveFormats(next);
+    setFormatDraft(null);
+    setFormat(def.id);
+    setPeriodMinutes(def.periodMinutes);
   };
+  const deleteCustomFormat = (id) => {
+    const next = customFormats.filter((f) => f.id !== id);
+    setCustomFormats(next);
+    saveFormats(next);
+    if (format === id) selectFormat(FORMAT_PRESETS[0].id);
+  };
+  const nextPeriod = () => dispatch(act.nextPeriod());
+  const selectPeriod = (idx) => dispatch(act.selectPeriod(idx, Date.now()));
   const showError = (message) => {
     if (errorTimeoutRef.current) clearTimeout(errorTimeoutRef.current);
     setErrorToast(message);
     errorTimeoutRef.current = setTimeout(() => setErrorToast(null), 3000);
   };
 
-  const toggleActive = (idx) => {
-    const player = players[idx];
-    const currentActiveCount = players.filter((p) => p.active).length;
-    
-    // If trying to activate and already at max, show error
-    if (!player.active && currentActiveCount >= onCourt) {
-      showError(`Only ${onCourt} players can be on court. Remove someone first!`);
-      return;
-    }
-    
-    setPlayers((prev) => {
-      const next = [...prev];
-      next[idx] = { ...next[idx], active: !next[idx].active };
-      return next;
-    });
-  };
-  const updateName = (idx, name) => {
-    setPlayers((prev) => {
-      const next = [...prev];
-      next[idx] = { ...next[idx], name };
-      return next;
-    });
-  };
-  const togglePinned = (idx) => {
-    setPlayers((prev) => {
-      const next = [...prev];
-      // Can only pin active players
-      if (next[idx].active) {
-        next[idx] = { ...next[idx], pinned: !next[idx].pinned };
-      }
-      return next;
-    });
-  };
-  const toggleAbsent = (idx) => {
-    setPlayers((prev) => {
-      const next = [...prev];
-      const wasAbsent = next[idx].absent;
-      // If marking as absent, also deactivate and unpin
-      if (!wasAbsent) {
-        next[idx] = { ...next[idx], absent: true, active: false, pinned: false };
-      } else {
-        next[idx] = { ...next[idx], absent: false };
-      }
-      return next;
+  const toggleActive = (idx) => dispatch(act.toggleActive(idx));
+  // Roster editing goes by id so stats stay with the player
+  const updateProfile = (id, fields) => dispatch(act.updateProfile(id, fields));
+  const updateName = (idx, name) => updateProfile(players[idx].id, { name });
+  // Players added mid-game are only owed time from when they arrive
+  const newRosterPlayer = (n) =>
+    makePlayer(numPeriods, {
+      name: `Player ${n}`,
+      availability: [{ from: fairElapsedMs, to: null }],
     });
+  const addPlayer = () => dispatch(act.addPlayers([newRosterPlayer(numPlayers + 1)]));
+  const removePlayer = (id) => dispatch(act.removePlayers([id]));
+  // Grow or trim the roster from the end
+  const resizeRoster = (n) =>
+    dispatch(
+      n > numPlayers
+        ? act.addPlayers(
+            Array.from({ length: n - numPlayers }, (_, k) =>
+              newRosterPlayer(numPlayers + k + 1)
+            )
+          )
+        : act.removePlayers(players.slice(n).map((p) => p.id))
+    );
+  const reorderPlayers = (ids) => dispatch(act.reorder(ids));
+  const togglePinned = (idx) => dispatch(act.togglePinned(idx));
+  const toggleAbsent = (idx) => dispatch(act.toggleAbsent(idx));
+  // Personal fouls (see engine.js), which also count as our team fouls
+  const addFoul = (idx, delta) => dispatch(act.addFoul(idx, delta, foulLimit));
+  const changeFoulLimit = (limit) => {
+    setFoulLimit(limit);
+    dispatch(act.setFoulLimit(limit));
   };
-  const autoFill = () => {
-    // Get pinned players (they stay active)
-    const pinnedIndices = new Set(
-      players.map((p, i) => (p.active && p.pinned ? i : null)).filter((i) => i !== null)
+  // In season mode a prior season deficit counts as time still owed
+  const autoFill = () =>
+    dispatch(
+      act.autoFill(
+        fillMode === "season"
+          ? Object.fromEntries(players.map((p) => [p.id, seasonDeltaFor(p)]))
+          : {}
+      )
     );
-    const pinnedCount = pinnedIndices.size;
-    const slotsToFill = onCourt - pinnedCount;
-
-    // Get eligible players (not absent, not pinned) sorted by time
-    const eligible = players
-      .map((p, i) => ({ i, id: p.id, totalMs: p.totalMs, wasActive: p.active, pinned: p.pinned, absent: p.absent }))
-      .filter((p) => !p.absent && !pinnedIndices.has(p.i))
-      .sort((a, b) => a.totalMs - b.totalMs);
-
-    // Select the lowest-time players to fill remaining slots
-    const toActivate = new Set([
-      ...pinnedIndices,
-      ...eligible.slice(0, slotsToFill).map((x) => x.i),
-    ]);
-    
-    // Track who was swapped in/out (excluding pinned)
-    const swappedIn = new Set();
-    const swappedOut = new Set();
-    players.forEach((p, i) => {
-      if (p.absent) return; // Ignore absent players
-      const willBeActive = toActivate.has(i);
-      if (!p.active && willBeActive && !p.pinned) swappedIn.add(p.id);
-      if (p.active && !willBeActive && !p.pinned) swappedOut.add(p.id);
-    });
-    
-    // Clear previous timeout and set new swaps
-    if (swapTimeoutRef.current) clearTimeout(swapTimeoutRef.current);
-    setLastSwaps({ swappedIn, swappedOut });
-    // Auto-clear swap indicators after 5 seconds
-    swapTimeoutRef.current = setTimeout(() => {
-      setLastSwaps({ swappedIn: new Set(), swappedOut: new Set() });
-    }, 5000);
-    
-    setPlayers((prev) =>
-      prev.map((p, i) => ({ ...p, active: toActivate.has(i) }))
+  // Plan the whole game's rotation from the current roster flags
+  const generatePlan = () => {
+    if (eligiblePlayerCount < onCourt) {
+      showError(`Need at least ${onCourt} available players to plan a rotation.`);
+      return;
+    }
+    setRotationPlan(
+      buildRotationPlan({
+        players: players.map((p) => ({ ...p, absent: isUnavailable(p) })),
+        onCourt,
+        numPeriods: regulationPeriods,
+        periodLengthMs,
+        sliceMs: sliceMinutes * 60 * 1000,
+      })
     );
   };
-  const csvExport = () => {
-    const headers = [
-      "Player",
-      "Total (mm:ss)",
-      ...periodLabels.map((l) => `${l} (mm:ss)`),
-    ];
-    const rows = players.map((p) => [
-      p.name,
-      msToClock(p.totalMs),
-      ...p.periodMs.map(msToClock),
-    ]);
-    const lines = [headers, ...rows]
-      .map((r) =>
-        r.map((cell) => `"${String(cell).replaceAll('"', '""')}"`).join(",")
-      )
-      .join("\n");
-    const blob = new Blob([lines], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "playing-time.csv";
-    a.click();
-    URL.revokeObjectURL(url);
+  // Bring the court in line with the planned lineup for the current slice
+  const applyPlannedLineup = () => {
+    if (planSlice) dispatch(act.applyLineup(planSlice.lineup));
+  };
+  // Revert the most recent substitution batch (see engine.js)
+  const undoLastSub = () => dispatch(act.undoSub());
+  // Minutes export for the current game or the whole history (see gameExport.js)
+  const exportMinutes = ({ scope, fileType }) => {
+    const games = scope === "history" ? gameHistory : [gameRecord()];
+    const name = scope === "history" ? "playing-time-history" : "playing-time";
+    if (fileType === "json") {
+      downloadFile(`${name}.json`, minutesJson(games), "application/json");
+    } else {
+      downloadFile(`${name}.csv`, minutesCsv(games), "text/csv;charset=utf-8;");
+    }
+    setExportDialog(null);
   };
 
   // Save/Load rosters
   const saveCurrentRoster = () => {
     const name = (rosterName || "Roster").trim();
     const roster = {
-      players: players.map((p) => ({ name: p.name, absent: p.absent })),
-      numPlayers,
+      players: players.map(profileOf),
       onCourt,
+      season: savedRosters[name]?.season ?? {},
     };
     const next = { ...savedRosters, [name]: roster };
     setSavedRosters(next);
@@ -497,26 +871,26 @@ export default function PlayingTimeApp() {
     const entry = savedRosters[name];
     if (!entry) return;
     setRosterName(name);
-    setNumPlayers(entry.numPlayers ?? entry.players?.length ?? numPlayers);
     setOnCourt(entry.onCourt ?? onCourt);
-    setPlayers(() => {
-      const n = entry.players?.length ?? numPlayers;
-      return Array.from({ length: n }, (_, i) => {
-        const isAbsent = entry.players?.[i]?.absent ?? false;
-        return {
-          id: i + 1,
-          name: entry.players?.[i]?.name ?? DEFAULT_NAMES[i] ?? `Player ${i + 1}`,
-          active: !isAbsent && i < (entry.onCourt ?? onCourt),
-          pinned: false,
-          absent: isAbsent,
-          totalMs: 0,
-          periodMs: Array(numPeriods).fill(0),
-        };
-      });
-    });
-    setRunning(false);
-    setCurrentPeriod(0);
-    setPeriodElapsedMs(Array(numPeriods).fill(0));
+    dispatch(
+      act.reset({
+        gameId: newGameId(),
+        players: (entry.players ?? []).map((rp, i) =>
+          makePlayer(regulationPeriods, {
+            // Rosters saved before stable ids fall back to their position
+            id: rp.id ?? i + 1,
+            name: rp.name ?? `Player ${i + 1}`,
+            number: rp.number ?? "",
+            notes: rp.notes ?? "",
+            color: rp.color ?? "",
+            positions: rp.positions ?? [],
+            absent: rp.absent ?? false,
+            active: !rp.absent && i < (entry.onCourt ?? onCourt),
+          })
+        ),
+      })
+    );
+    setSignature(null);
   };
   const deleteRosterByName = (name) => {
     const next = { ...savedRosters };
@@ -525,15 +899,130 @@ export default function PlayingTimeApp() {
     saveRosters(next);
   };
 
+  // Export one saved roster, or all of them with "__all"
+  const exportRosters = (which) => {
+    const rosters =
+      which === "__all" ? savedRosters : { [which]: savedRosters[which] };
+    const base = which === "__all" ? "rosters" : which.replace(/[^\w-]+/g, "_");
+    downloadFile(`${base}.roster.json`, rosterFileJson(rosters), "application/json");
+  };
+  // Read a roster JSON or CSV file into a pending import for review
+  const readRosterFile = async (file) => {
+    const text = await file.text();
+    let rosters;
+    let errors;
+    if (/\.csv$/i.test(file.name) || file.type === "text/csv") {
+      const parsed = parseRosterCsv(text);
+      errors = parsed.errors;
+      rosters = parsed.players.length
+        ? {
+            [file.name.replace(/\.csv$/i, "")]: {
+              players: parsed.players.map((p) => ({ ...p, id: newPlayerId() })),
+              onCourt: Math.min(onCourt, parsed.players.length),
+              season: {},
+            },
+          }
+        : {};
+    } else {
+      ({ rosters, errors } = parseRosterFile(text));
+    }
+    if (!Object.keys(rosters).length) {
+      showError(errors[0] ?? "No rosters found in that file.");
+      return;
+    }
+    setRosterImport({ rosters, errors, onConflict: "keep" });
+  };
+  // Save the pending import; name clashes are renamed, replaced or skipped
+  const confirmRosterImport = () => {
+    const next = { ...savedRosters };
+    for (const [name, roster] of Object.entries(rosterImport.rosters)) {
+      if (next[name] && rosterImport.onConflict === "skip") continue;
+      const target =
+        next[name] && rosterImport.onConflict === "keep"
+          ? uniqueRosterName(name, Object.keys(next))
+          : name;
+      next[target] = roster;
+    }
+    setSavedRosters(next);
+    saveRosters(next);
+    setRosterImport(null);
+  };
+
+  // Snapshots are taken from storage, which the save effect keeps current
+  const snapshotOf = (kind) => ({
+    kind,
+    createdAt: new Date().toISOString(),
+    state: loadState(),
+    formats: loadFormats(),
+    ...(kind === "backup" ? { rosters: loadRosters(), history: loadHistory() } : {}),
+  });
+  const showShareLink = async (kind, link) => {
+    const qr =
+      link.length <= QR_MAX_CHARS
+        ? await QRCode.toDataURL(link, { errorCorrectionLevel: "L", margin: 1, width: 320 })
+        : null;
+    setShare({ kind, link, qr });
+  };
+  const shareGame = async () =>
+    showShareLink("game", snapshotLink(await encodeSnapshot(snapshotOf("game"))));
+  const copyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(share.link);
+    } catch {
+      showError("Couldn't copy. Select the link and copy it instead.");
+    }
+  };
+  const downloadBackup = async () => {
+    const code = await encodeSnapshot(snapshotOf("backup"));
+    const day = new Date().toISOString().slice(0, 10);
+    downloadFile(`playing-time-backup-${day}.ptbackup`, code, "text/plain");
+  };
+  const readBackupFile = async (file) => {
+    try {
+      setPendingRestore(await decodeSnapshot(await file.text()));
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+  // Write the snapshot to storage and reload so it goes through the normal
+  // load path (a running clock resumes from its anchor)
+  const applyRestore = async () => {
+    const { state, formats, rosters, history: games } = pendingRestore;
+    hasLoadedRef.current = false; // no more saves from this session
+    if (!saveState(state)) {
+      hasLoadedRef.current = true;
+      showError("That snapshot's game is damaged and can't be restored.");
+      return;
+    }
+    // Merge custom formats by id so a shared game still finds its format
+    const byId = new Map(
+      [...loadFormats(), ...(formats ?? [])].map((f) => [f.id, f])
+    );
+    saveFormats([...byId.values()]);
+    if (rosters) saveRosters(rosters);
+    if (games) saveHistory(games);
+    await flushStorage();
+    window.location.reload();
+  };
+
   const simpleRosterOptions = Object.keys(savedRosters).sort();
 
-  // Progress baseline value
-  const baselineMs =
-    baseline === "goal" ? goalPerPlayerFullGameMs : idealMsSoFar;
+  // Season ledger of the loaded roster: { [id]: { playedMs, fairMs, games } }
+  const seasonLedger = savedRosters[(rosterName || "").trim()]?.season ?? {};
+  // Played minus fair share over previous games (negative = owed minutes)
+  const seasonDeltaFor = (p) => {
+    const rec = seasonRecord(seasonLedger, p);
+    return rec ? rec.playedMs - rec.fairMs : 0;
+  };
+
+  // On-court players one foul from the limit
+  const foulTroublePlayers = players.filter(
+    (p) => p.active && p.fouledOutAt == null && p.fouls === foulLimit - 1
+  );
 
   // Decide which period columns to display
   const completedPeriods = periodElapsedMs
-    .map((ms, i) => (ms >= periodLengthMs ? i : null))
+    .map((ms, i) => (ms >= periodLengthFor(gameConfig, i) ? i : null))
     .filter((i) => i !== null);
   const displayedPeriods =
     periodView === "current"
@@ -554,6 +1043,36 @@ export default function PlayingTimeApp() {
       });
   }, [players]);
 
+  // Live minimum-playing-time checks; players never available are exempt
+  const complianceFor = (p) =>
+    checkPlayer(
+      playRules,
+      p.periodMs,
+      {
+        periods: regulationPeriods,
+        periodLengthMs,
+        periodElapsedMs,
+        currentPeriod,
+        finished: false,
+      },
+      availableWindows(p).length === 0
+    );
+  const addPlayRule = () => {
+    const value = Math.max(1, parseInt(ruleDraft.value) || 1);
+    const rule =
+      ruleDraft.type === "fullPeriods"
+        ? { type: "fullPeriods", count: Math.min(value, regulationPeriods) }
+        : { type: ruleDraft.type, minutes: value };
+    setPlayRules((prev) => [...prev, rule]);
+    setSignature(null);
+  };
+  const removePlayRule = (idx) => {
+    setPlayRules((prev) => prev.filter((_, i) => i !== idx));
+    setSignature(null);
+  };
+
+  // Tag or untag a position the player can play
+  const togglePosition = (idx, pos) => dispatch(act.togglePosition(idx, pos));
   // Toggle accordion expansion
   const toggleExpanded = (id) => {
     setExpandedIds((prev) => {
@@ -567,14 +1086,49 @@ export default function PlayingTimeApp() {
     });
   };
 
-  // Chart data
-  const chartData = players.map((p) => ({
-    name: p.name,
-    minutes: Math.round(p.totalMs / 600) / 10,
-  }));
+  const viewingGame = gameHistory.find((g) => g.id === viewingGameId) ?? null;
+
+  // Rotation plan progress: current slice, next planned sub, drift from plan
+  const planValid =
+    !!rotationPlan &&
+    rotationPlan.numPeriods === regulationPeriods &&
+    rotationPlan.periodLengthMs === periodLengthMs &&
+    rotationPlan.onCourt === onCourt;
+  const planClockMs = periodElapsedMs[currentPeriod] || 0;
+  const planSlice = planValid
+    ? rotationPlan.slices[sliceIndexAt(rotationPlan, currentPeriod, planClockMs)] ??
+      null
+    : null;
+  const nextSub = planValid
+    ? nextPlannedSub(rotationPlan, currentPeriod, planClockMs)
+    : null;
+  const planDrift = useMemo(() => {
+    if (!planValid || !planSlice) return null;
+    const planned = new Set(planSlice.lineup);
+    const soFar = plannedMsSoFar(rotationPlan, periodElapsedMs);
+    const extraOn = players.filter((p) => p.active && !planned.has(p.id));
+    const missingOn = players.filter((p) => !p.active && planned.has(p.id));
+    const maxMinutesOff = Math.max(
+      0,
+      ...players
+        .filter((p) => !p.absent)
+        .map((p) => Math.abs(p.totalMs - (soFar[p.id] ?? 0)))
+    );
+    return {
+      extraOn,
+      missingOn,
+      maxMinutesOff,
+      drifted: extraOn.length > 0 || missingOn.length > 0 || maxMinutesOff > 60 * 1000,
+    };
+  }, [planValid, planSlice, rotationPlan, periodElapsedMs, players]);
+  const nameById = (id) => players.find((p) => p.id === id)?.name ?? `#${id}`;
 
   return (
-    <div className="min-h-screen bg-gradient-to-b from-sky-50 via-white to-violet-50 text-gray-900 pb-40">
+    <div
+      className={`min-h-screen bg-gradient-to-b from-sky-50 via-white to-violet-50 text-gray-900 pb-40 ${
+        complianceView ? "print:hidden" : ""
+      }`}
+    >
       {/* Error Toast */}
       <AnimatePresence>
         {errorToast && (
@@ -600,6 +1154,49 @@ export default function PlayingTimeApp() {
 
       {/* Header */}
       <div className="sticky top-0 z-40 backdrop-blur supports-[backdrop-filter]:bg-white/70 bg-white/90 border-b">
+        {pendingRestore && (
+          <div className="bg-indigo-600 text-white text-xs">
+            <div className="max-w-3xl mx-auto px-4 py-2 flex items-center justify-between gap-3">
+              <span>
+                {pendingRestore.kind === "backup"
+                  ? "Restore this backup? It replaces the game, rosters and history on this device."
+                  : "Open the shared game? It replaces the game on this device."}
+              </span>
+              <div className="flex items-center gap-2 shrink-0">
+                <button
+                  className="px-3 py-1 rounded-lg bg-white/20 hover:bg-white/30"
+                  onClick={applyRestore}
+                >
+                  {pendingRestore.kind === "backup" ? "Restore" : "Open"}
+                </button>
+                <button
+                  className="px-3 py-1 rounded-lg hover:bg-white/10"
+                  onClick={() => setPendingRestore(null)}
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+        {updateWorker && (
+          <div className="bg-sky-600 text-white text-xs">
+            <div className="max-w-3xl mx-auto px-4 py-2 flex items-center justify-between gap-3">
+              <span>
+                {running
+                  ? "A new version is ready. Pause the clock to update."
+                  : "A new version is ready."}
+              </span>
+              <button
+                className="px-3 py-1 rounded-lg bg-white/20 hover:bg-white/30 disabled:opacity-50"
+                disabled={running}
+                onClick={() => flushStorage().then(() => applyUpdate(updateWorker))}
+              >
+                Update
+              </button>
+            </div>
+          </div>
+        )}
         <div className="max-w-3xl mx-auto px-4 py-3 flex items-center justify-between gap-3">
           <div className="flex items-center gap-3">
             <div className="h-9 w-9 rounded-2xl bg-gradient-to-br from-sky-500 to-indigo-600 flex items-center justify-center shadow text-white">
@@ -610,13 +1207,23 @@ export default function PlayingTimeApp() {
                 Playing Time Tracker
               </div>
               <div className="text-xs text-gray-500">
-                Keep it fair • Quarters or halves
+                Keep it fair • {formatDef.name}
+                {syncConfig.enabled && (
+                  <span
+                    className={
+                      syncStatus === "connected" ? "text-emerald-600" : "text-amber-600"
+                    }
+                  >
+                    {" "}
+                    • Sync {syncStatus}
+                  </span>
+                )}
               </div>
             </div>
           </div>
           <div className="hidden sm:flex items-center gap-2">
             <IconButton
-              onClick={() => setRunning((r) => !r)}
+              onClick={startStop}
               variant={running ? "amber" : "emerald"}
               icon={running ? Pause : Play}
               label={running ? "Pause" : "Start"}
@@ -626,7 +1233,13 @@ export default function PlayingTimeApp() {
               disabled={currentPeriod >= numPeriods - 1}
               variant="indigo"
               icon={SkipForward}
-              label={`Next ${labelFor(format, currentPeriod + 1)}`}
+              label={`Next ${labelFor(formatDef, currentPeriod + 1)}`}
+            />
+            <IconButton
+              onClick={undoLastSub}
+              variant="slate"
+              icon={Undo2}
+              label="Undo Sub"
             />
             <IconButton
               onClick={resetAll}
@@ -635,10 +1248,16 @@ export default function PlayingTimeApp() {
               label="Reset"
             />
             <IconButton
-              onClick={csvExport}
+              onClick={() => openReport(gameRecord())}
+              variant="blue"
+              icon={FileText}
+              label="Report"
+            />
+            <IconButton
+              onClick={() => setExportDialog({ scope: "game", fileType: "csv" })}
               variant="blue"
               icon={Download}
-              label="CSV"
+              label="Export"
             />
           </div>
         </div>
@@ -650,25 +1269,99 @@ export default function PlayingTimeApp() {
           <KpiCard icon={Clock} label="Game" value={msToClock(gameElapsedMs)} />
           <KpiCard
             icon={Target}
-            label={labelFor(format, currentPeriod)}
+            label={labelFor(formatDef, currentPeriod)}
             value={`${msToClock(
               periodElapsedMs[currentPeriod] || 0
-            )} / ${msToClock(periodLengthMs)}`}
+            )} / ${msToClock(periodLengthFor(gameConfig, currentPeriod))}`}
           />
           <KpiCard
             icon={Users}
             label="Ideal so far"
             value={msToClock(idealMsSoFar)}
-            tooltip="Elapsed × (on-court / roster)"
+            tooltip={FAIR_SHARE_TIP}
           />
           <KpiCard
             icon={Gauge}
             label="Goal / player"
             value={msToClock(goalPerPlayerFullGameMs)}
-            tooltip="Full game ÷ players"
+            tooltip={GOAL_TIP}
+          />
+          <Scoreboard
+            className="col-span-2 sm:col-span-4"
+            usLabel={rosterName.trim() || "Us"}
+            oppLabel={opponent.trim() || "Opponent"}
+            usPoints={teamPoints}
+            oppPoints={oppPoints}
+            periodLabels={periodLabels}
+            onOpponentScore={scoreOpponent}
           />
         </div>
 
+        {/* Planned rotation: next sub countdown and drift warning */}
+        {planValid && (
+          <section
+            className={`rounded-2xl shadow-sm p-3 text-sm ${
+              planDrift?.drifted ? "bg-amber-50 border border-amber-200" : "bg-white/90"
+            }`}
+          >
+            <div className="flex items-center justify-between gap-2">
+              <div className="flex items-center gap-2 font-medium">
+                <CalendarClock size={16} />
+                {nextSub ? (
+                  <span>
+                    Next sub{" "}
+                    {nextSub.slice.period === currentPeriod ? (
+                      <>
+                        in{" "}
+                        <b className="tabular-nums">
+                          {msToClock(nextSub.slice.startMs - planClockMs)}
+                        </b>
+                      </>
+                    ) : (
+                      <>at start of {labelFor(formatDef, nextSub.slice.period)}</>
+                    )}
+                  </span>
+                ) : (
+                  <span>No more planned subs</span>
+                )}
+              </div>
+              {planDrift && (planDrift.extraOn.length > 0 || planDrift.missingOn.length > 0) && (
+                <button
+                  className="text-xs text-indigo-600 hover:text-indigo-800"
+                  onClick={applyPlannedLineup}
+                >
+                  Match plan
+                </button>
+              )}
+            </div>
+            {nextSub && (
+              <div className="mt-1 text-xs text-gray-600">
+                <span className="text-emerald-700">
+                  IN: {nextSub.goingIn.map(nameById).join(", ") || "—"}
+                </span>
+                <span className="mx-2">•</span>
+                <span className="text-rose-700">
+                  OUT: {nextSub.goingOut.map(nameById).join(", ") || "—"}
+                </span>
+              </div>
+            )}
+            {planDrift?.drifted && (
+              <div className="mt-1 text-xs text-amber-800 flex items-start gap-1">
+                <AlertTriangle size={14} className="shrink-0 mt-px" />
+                <span>
+                  Off plan
+                  {planDrift.extraOn.length > 0 &&
+                    ` • on but planned off: ${planDrift.extraOn.map((p) => p.name).join(", ")}`}
+                  {planDrift.missingOn.length > 0 &&
+                    ` • planned on: ${planDrift.missingOn.map((p) => p.name).join(", ")}`}
+                  {planDrift.maxMinutesOff > 60 * 1000 &&
+                    ` • up to ${msToClock(planDrift.maxMinutesOff)} from planned minutes`}
+                </span>
+              </div>
+            )}
+          </section>
+        )}
+
         {/* Period tabs */}
         <section className="bg-white/90 rounded-2xl shadow-sm p-3">
           <div className="flex flex-wrap items-center gap-2 justify-between">
@@ -676,7 +1369,7 @@ export default function PlayingTimeApp() {
               {periodLabels.map((lbl, i) => (
                 <button
                   key={lbl}
-                  onClick={() => setCurrentPeriod(i)}
+                  onClick={() => selectPeriod(i)}
                   className={`px-3 py-2 rounded-full text-sm border ${
                     i === currentPeriod
                       ? "bg-indigo-600 text-white border-indigo-600"
@@ -723,16 +1416,34 @@ export default function PlayingTimeApp() {
             </button>
           </div>
 
+          {foulTroublePlayers.length > 0 && (
+            <div className="mb-2 rounded-xl bg-amber-50 border border-amber-200 px-3 py-2 text-xs text-amber-800 flex items-center gap-2">
+              <AlertTriangle size={14} className="shrink-0" />
+              <span>
+                One foul from fouling out:{" "}
+                <b>{foulTroublePlayers.map((p) => p.name).join(", ")}</b>
+              </span>
+            </div>
+          )}
+
           <LayoutGroup>
             <div className="flex flex-col gap-1">
               {sortedPlayers.map((p) => {
-                const base = baselineMs || 1;
-                const prog = Math.max(0, Math.min(1, p.totalMs / base));
-                const delta =
-                  p.totalMs -
-                  (baseline === "goal"
-                    ? goalPerPlayerFullGameMs
-                    : idealMsSoFar);
+                const base = baselineFor(p) || 1;
+                const fairMs = fairMsFor(p);
+                const prog = Math.max(0, Math.min(1, fairMs / base));
+                const delta = fairMs - baselineFor(p);
+                const fouledOut = p.fouledOutAt != null;
+                const foulTrouble =
+                  !fouledOut && p.active && p.fouls === foulLimit - 1;
+                const seasonDelta = seasonDeltaFor(p);
+                const stintMs = currentStintMs(p);
+                const stintWarn =
+                  maxStintMs > 0 && stintMs >= maxStintMs - STINT_WARN_MS;
+                const restLeft = restLeftMs(p);
+                const minTime = playRules.length
+                  ? overallStatus(complianceFor(p))
+                  : "exempt";
                 const isExpanded = expandedIds.has(p.id);
                 const wasSwappedIn = lastSwaps.swappedIn.has(p.id);
                 const wasSwappedOut = lastSwaps.swappedOut.has(p.id);
@@ -767,6 +1478,35 @@ export default function PlayingTimeApp() {
                           PINNED
                         </motion.div>
                       )}
+                      {/* Foul badges */}
+                      {(fouledOut || foulTrouble) && (
+                        <motion.div
+                          initial={{ opacity: 0, scale: 0.5 }}
+                          animate={{ opacity: 1, scale: 1 }}
+                          className={`px-2 py-0.5 rounded-full text-[10px] font-semibold flex items-center gap-1 text-white ${
+                            fouledOut ? "bg-rose-700" : "bg-amber-500"
+                          }`}
+                        >
+                          <AlertTriangle size={10} />
+                          {fouledOut ? "FOULED OUT" : `${p.fouls} FOULS`}
+                        </motion.div>
+                      )}
+                      {/* Minimum playing time badge */}
+                      {(minTime === "at_risk" || minTime === "missed") && (
+                        <motion.div
+                          initial={{ opacity: 0, scale: 0.5 }}
+                          animate={{ opacity: 1, scale: 1 }}
+                          className={`px-2 py-0.5 rounded-full text-[10px] font-semibold flex items-center gap-1 text-white ${
+                            minTime === "missed" ? "bg-rose-700" : "bg-amber-500"
+                          }`}
+                          title={playRules
+                            .map((r) => describeRule(r, formatDef))
+                            .join(" • ")}
+                        >
+                          <ClipboardCheck size={10} />
+                          {minTime === "missed" ? "MIN TIME MISSED" : "MIN TIME AT RISK"}
+                        </motion.div>
+                      )}
                       {/* Absent badge */}
                       {p.absent && (
                         <motion.div
@@ -816,7 +1556,7 @@ export default function PlayingTimeApp() {
                       <input
                         type="checkbox"
                         checked={p.active}
-                        disabled={p.absent}
+                        disabled={p.absent || fouledOut}
                         onChange={(e) => {
                           e.stopPropagation();
                           toggleActive(p.originalIdx);
@@ -825,9 +1565,15 @@ export default function PlayingTimeApp() {
                         className="h-6 w-6 shrink-0 disabled:opacity-50"
                       />
                       <div className="flex-1 min-w-0 flex items-center gap-3">
+                        <JerseyBadge player={p} />
                         <span className={`font-medium truncate ${p.absent ? "line-through text-gray-500" : ""}`}>
                           {p.name}
                         </span>
+                        {p.positions.length > 0 && (
+                          <span className="text-[10px] font-semibold text-gray-500">
+                            {p.positions.join("/")}
+                          </span>
+                        )}
                         <span className="text-xs tabular-nums text-gray-600">
                           {msToClock(p.totalMs)}
                         </span>
@@ -846,6 +1592,43 @@ export default function PlayingTimeApp() {
                                 delta / 60000
                               ).toFixed(2)}m`}
                         </span>
+                        {stintMs > 0 && (
+                          <span
+                            className={`text-[10px] tabular-nums rounded px-1 ${
+                              overStint(p)
+                                ? "bg-rose-600 text-white"
+                                : stintWarn
+                                ? "bg-amber-100 text-amber-800"
+                                : "bg-emerald-50 text-emerald-700"
+                            }`}
+                            title="Time on in the current stint"
+                          >
+                            On {msToClock(stintMs)}
+                          </span>
+                        )}
+                        {restLeft > 0 && (
+                          <span
+                            className="text-[10px] tabular-nums rounded px-1 bg-gray-100 text-gray-600"
+                            title="Rest left before this player may go back on"
+                          >
+                            Rest {msToClock(restLeft)}
+                          </span>
+                        )}
+                        {seasonRecord(seasonLedger, p) && (
+                          <span
+                            className={`text-[10px] tabular-nums rounded px-1 ${
+                              seasonDelta < 0
+                                ? "bg-blue-50 text-blue-600"
+                                : seasonDelta > 0
+                                ? "bg-rose-50 text-rose-600"
+                                : "bg-gray-50 text-gray-500"
+                            }`}
+                            title="Season: played vs fair share over previous games"
+                          >
+                            S {seasonDelta > 0 ? "+" : ""}
+                            {(seasonDelta / 60000).toFixed(1)}m
+                          </span>
+                        )}
                       </div>
                       <div className="w-16 shrink-0">
                         <Progress value={prog * 100} />
@@ -878,6 +1661,34 @@ export default function PlayingTimeApp() {
                               }
                               onClick={(e) => e.stopPropagation()}
                             />
+                            {p.notes && (
+                              <p className="text-[11px] italic text-gray-600">
+                                {p.notes}
+                              </p>
+                            )}
+                            {formatDef.positions?.length > 0 && (
+                              <div className="flex flex-wrap items-center gap-1.5">
+                                <span className="text-[11px] text-gray-600 mr-1">
+                                  Positions:
+                                </span>
+                                {formatDef.positions.map((pos) => (
+                                  <button
+                                    key={pos}
+                                    onClick={(e) => {
+                                      e.stopPropagation();
+                                      togglePosition(p.originalIdx, pos);
+                                    }}
+                                    className={`px-2.5 py-1 rounded-lg text-xs font-semibold ${
+                                      p.positions.includes(pos)
+                                        ? "bg-indigo-600 text-white"
+                                        : "bg-gray-100 text-gray-600 hover:bg-gray-200"
+                                    }`}
+                                  >
+                                    {pos}
+                                  </button>
+                                ))}
+                              </div>
+                            )}
                             <div className="text-[11px] text-gray-600 flex flex-wrap gap-3">
                               <span>
                                 Total:{" "}
@@ -885,6 +1696,15 @@ export default function PlayingTimeApp() {
                                   {msToClock(p.totalMs)}
                                 </b>
                               </span>
+                              {fairElapsedMs > 0 && (
+                                <span>
+                                  Here:{" "}
+                                  <b className="tabular-nums">
+                                    {msToClock(availableMsFor(p))}
+                                  </b>{" "}
+                                  of {msToClock(fairElapsedMs)}
+                                </span>
+                              )}
                               <span>
                                 Δ {baseline === "goal" ? "vs Goal" : "vs Ideal"}
                                 :{" "}
@@ -923,9 +1743,96 @@ export default function PlayingTimeApp() {
                                     {periodLabels[i]}
                                   </div>
                                   {msToClock(p.periodMs[i] || 0)}
+                                  {p.points[i] > 0 && (
+                                    <div className="text-[10px] text-indigo-700">
+                                      {p.points[i]} pts
+                                    </div>
+                                  )}
                                 </div>
                               ))}
                             </div>
+                            {/* Personal fouls */}
+                            <div className="flex items-center gap-2">
+                              <span
+                                className={`text-[11px] mr-auto ${
+                                  fouledOut
+                                    ? "text-rose-700"
+                                    : foulTrouble
+                                    ? "text-amber-700"
+                                    : "text-gray-600"
+                                }`}
+                              >
+                                Fouls:{" "}
+                                <b className="tabular-nums">
+                                  {p.fouls} / {foulLimit}
+                                </b>
+                              </span>
+                              {[-1, 1].map((d) => (
+                                <button
+                                  key={d}
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    addFoul(p.originalIdx, d);
+                                  }}
+                                  className={`px-3 py-2 rounded-xl text-xs font-semibold ${
+                                    d < 0
+                                      ? "bg-gray-100 text-gray-600 hover:bg-gray-200"
+                                      : "bg-amber-100 text-amber-800 hover:bg-amber-200"
+                                  }`}
+                                >
+                                  {d > 0 ? "+ Foul" : "−1"}
+                                </button>
+                              ))}
+                            </div>
+                            {/* Scoring (current period) */}
+                            <div className="flex items-center gap-2">
+                              <span className="text-[11px] text-gray-600 mr-auto">
+                                Points:{" "}
+                                <b className="tabular-nums">
+                                  {p.points.reduce((a, b) => a + b, 0)}
+                                </b>
+                              </span>
+                              {[-1, 1, 2, 3].map((pts) => (
+                                <button
+                                  key={pts}
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    scorePoints(p.originalIdx, pts);
+                                  }}
+                                  className={`px-3 py-2 rounded-xl text-xs font-semibold ${
+                                    pts < 0
+                                      ? "bg-gray-100 text-gray-600 hover:bg-gray-200"
+                                      : "bg-indigo-100 text-indigo-700 hover:bg-indigo-200"
+                                  }`}
+                                >
+                                  {pts > 0 ? `+${pts}` : "−1"}
+                                </button>
+                              ))}
+                            </div>
+                            {/* Stint history */}
+                            {stintsByPlayer[p.id]?.length > 0 && (
+                              <div className="text-[11px] text-gray-600">
+                                <div className="text-[10px] uppercase tracking-wide text-gray-500 mb-1">
+                                  Stints
+                                </div>
+                                <div className="flex flex-wrap gap-1">
+                                  {stintsByPlayer[p.id].map((st, k) => (
+                                    <span
+                                      key={k}
+                                      className={`rounded-lg px-2 py-0.5 tabular-nums ${
+                                        st.end === null
+                                          ? "bg-emerald-100 text-emerald-800"
+                                          : "bg-gray-100"
+                                      }`}
+                                    >
+                                      {periodLabels[st.period] ?? labelFor(formatDef, st.period)}{" "}
+                                      {msToClock(st.periodAt)} •{" "}
+                                      {msToClock((st.end ?? gameElapsedMs) - st.start)}
+                                    </span>
+                                  ))}
+                                </div>
+                              </div>
+                            )}
                             {/* Pin and Absent controls */}
                             <div className="flex items-center gap-2 pt-2 border-t">
                               <button
@@ -966,12 +1873,12 @@ export default function PlayingTimeApp() {
                                 {p.absent ? (
                                   <>
                                     <UserCheck size={14} />
-                                    Mark Present
+                                    {fairElapsedMs > 0 ? "Arrived" : "Mark Present"}
                                   </>
                                 ) : (
                                   <>
                                     <UserX size={14} />
-                                    Mark Absent
+                                    {fairElapsedMs > 0 ? "Leaving" : "Mark Absent"}
                                   </>
                                 )}
                               </button>
@@ -988,63 +1895,118 @@ export default function PlayingTimeApp() {
         </section>
 
         {/* Chart */}
-        <section className="bg-white/90 rounded-2xl shadow-sm p-3">
-          <h3 className="font-semibold mb-2">Total Minutes by Player</h3>
-          <div className="h-56 md:h-64">
-            <ResponsiveContainer width="100%" height="100%">
-              <BarChart
-                data={chartData}
-                margin={{ top: 10, right: 10, bottom: 10, left: 10 }}
-              >
-                <XAxis
-                  dataKey="name"
-                  tick={{ fontSize: 10 }}
-                  interval={0}
-                  angle={-25}
-                  textAnchor="end"
-                  height={50}
-                />
-                <YAxis tick={{ fontSize: 10 }} />
-                <Tooltip formatter={(v) => `${v} min`} />
-                <Bar dataKey="minutes" />
-              </BarChart>
-            </ResponsiveContainer>
-          </div>
-        </section>
+        <MinutesChart players={players} />
       </main>
 
-      {/* Timeouts & OT (single team) */}
+      {/* Timeouts, team fouls & OT */}
       <section className="bg-white/90 rounded-2xl shadow-sm p-4 space-y-3">
         <div className="flex items-center justify-between">
           <h2 className="font-semibold flex items-center gap-2">
             <Timer size={16} /> Timeouts & Overtime
           </h2>
           <div className="text-xs text-gray-600">
-            Full timeouts: 5 • +1 each OT
+            {formatDef.timeouts} timeouts
+            {formatDef.timeoutsPerHalf ? " per half" : ""}
+            {formatDef.otTimeouts > 0 ? ` • +${formatDef.otTimeouts} each ${formatDef.otPrefix}` : ""}
           </div>
         </div>
-        <div className="rounded-xl border p-3">
-          <div className="flex items-center justify-between">
-            <div className="text-sm font-medium">Our Team</div>
-            <div className="text-sm">
-              Remaining: <b>{timeoutsRemaining}</b> / {timeoutsCap}
+        <label className="flex items-center gap-2 text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={twoTeamMode}
+            onChange={(e) => setTwoTeamMode(e.target.checked)}
+          />
+          Track opponent timeouts and team fouls
+        </label>
+        {(twoTeamMode ? ["us", "opp"] : ["us"]).map((side) => {
+          const bonus = twoTeamMode ? bonusFor(side) : null;
+          return (
+            <div key={side} className="rounded-xl border p-3">
+              <div className="flex items-center justify-between gap-2">
+                <div className="text-sm font-medium flex items-center gap-2">
+                  {side === "us" ? "Our Team" : opponent.trim() || "Opponent"}
+                  {bonus && (
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-[10px] font-semibold text-white ${
+                        bonus === "double" ? "bg-rose-600" : "bg-amber-500"
+                      }`}
+                    >
+                      {bonus === "double" ? "DOUBLE BONUS" : "BONUS"}
+                    </span>
+                  )}
+                </div>
+                <div className="text-sm">
+                  Remaining: <b>{timeoutsRemainingFor(side)}</b> / {timeoutsCap}
+                </div>
+              </div>
+              <div className="mt-2 flex flex-wrap items-center gap-2">
+                <IconButton
+                  onClick={() => undoTimeout(side)}
+                  variant="slate"
+                  icon={Minus}
+                  label="Undo"
+                />
+                <IconButton
+                  onClick={() => useTimeout(side)}
+                  variant="indigo"
+                  icon={Plus}
+                  label="Use Timeout"
+                />
+                {twoTeamMode && (
+                  <div className="ml-auto flex items-center gap-2 text-sm">
+                    <span className="text-gray-600">
+                      {labelFor(formatDef, currentPeriod)} fouls:{" "}
+                      <b className="tabular-nums">
+                        {teamFouls[side][currentPeriod] || 0}
+                      </b>
+                    </span>
+                    <IconButton
+                      onClick={() => addTeamFoul(side, -1)}
+                      variant="slate"
+                      icon={Minus}
+                      label="Foul"
+                    />
+                    <IconButton
+                      onClick={() => addTeamFoul(side, 1)}
+                      variant="amber"
+                      icon={Plus}
+                      label="Foul"
+                    />
+                  </div>
+                )}
+              </div>
             </div>
+          );
+        })}
+        {twoTeamMode && (
+          <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600">
+            <label className="flex items-center gap-1">
+              Bonus at
+              <input
+                type="number"
+                min={1}
+                className="w-14 rounded-lg border px-2 py-1"
+                value={bonusAt}
+                onChange={(e) =>
+                  setBonusAt(clamp(parseInt(e.target.value || "0"), 1, 20))
+                }
+              />
+            </label>
+            <label className="flex items-center gap-1">
+              Double bonus at
+              <input
+                type="number"
+                min={1}
+                className="w-14 rounded-lg border px-2 py-1"
+                value={doubleBonusAt}
+                onChange={(e) =>
+                  setDoubleBonusAt(clamp(parseInt(e.target.value || "0"), 1, 20))
+                }
+              />
+            </label>
+            <span>team fouls per period</span>
           </div>
-          <div className="mt-2 flex items-center gap-2">
-            <IconButton
-              onClick={undoTimeout}
-              variant="slate"
-              icon={Minus}
-              label="Undo"
-            />
-            <IconButton
-              onClick={useTimeout}
-              variant="indigo"
-              icon={Plus}
-              label="Use Timeout"
-            />
-          </div>
-        </div>
+        )}
         <div className="flex flex-wrap items-center gap-3 pt-2 border-t">
           <div className="text-sm">
             Overtimes: <b>{overtimes}</b>
@@ -1053,29 +2015,27 @@ export default function PlayingTimeApp() {
             onClick={addOvertime}
             variant="emerald"
             icon={Plus}
-            label="Add Overtime (+1 TO)"
+            label={`Add ${formatDef.otPrefix}${
+              formatDef.otTimeouts > 0 ? ` (+${formatDef.otTimeouts} TO)` : ""
+            }`}
           />
-          <div className="ml-auto text-sm text-gray-600">
-            OT clock (3:00): <b>{msToClock(OT_LENGTH_MS - otElapsedMs)}</b>
-          </div>
-          <div className="flex items-center gap-2">
-            <IconButton
-              onClick={() => setOtRunning((r) => !r)}
-              variant={otRunning ? "amber" : "emerald"}
-              icon={otRunning ? Pause : Play}
-              label={otRunning ? "Pause OT" : "Start OT"}
-            />
-            <IconButton
-              onClick={() => {
-                setOtRunning(false);
-                setOtElapsedMs(0);
-              }}
-              variant="slate"
-              icon={RotateCw}
-              label="Reset OT"
-            />
-          </div>
+          {currentPeriod >= regulationPeriods && (
+            <div className="ml-auto text-sm text-gray-600">
+              {labelFor(formatDef, currentPeriod)} clock:{" "}
+              <b className="tabular-nums">
+                {msToClock(otLengthMs - (periodElapsedMs[currentPeriod] || 0))}
+              </b>
+            </div>
+          )}
         </div>
+        <label className="flex items-center gap-2 text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={otCountsTowardGoal}
+            onChange={(e) => setOtCountsTowardGoal(e.target.checked)}
+          />
+          {formatDef.otPrefix} minutes count toward the fairness goal
+        </label>
       </section>
 
       {/* Setup card */}
@@ -1099,7 +2059,7 @@ export default function PlayingTimeApp() {
               className="mt-1 w-full rounded-xl border px-3 py-3 text-base"
               value={numPlayers}
               onChange={(e) =>
-                setNumPlayers(clamp(parseInt(e.target.value || "0"), 1, 100))
+                resizeRoster(clamp(parseInt(e.target.value || "0"), 1, 100))
               }
             />
           </Labeled>
@@ -1121,15 +2081,22 @@ export default function PlayingTimeApp() {
             <select
               className="mt-1 w-full rounded-xl border px-3 py-3 text-base"
               value={format}
-              onChange={(e) => setFormat(e.target.value)}
+              onChange={(e) => selectFormat(e.target.value)}
             >
-              <option>Quarters</option>
-              <option>Halves</option>
+              {FORMAT_PRESETS.map((f) => (
+                <option key={f.id} value={f.id}>
+                  {f.name}
+                </option>
+              ))}
+              {customFormats.map((f) => (
+                <option key={f.id} value={f.id}>
+                  {f.name}
+                </option>
+              ))}
+              <option value="__custom">Custom…</option>
             </select>
           </Labeled>
-          <Labeled
-            label={`Minutes per ${format === "Quarters" ? "Quarter" : "Half"}`}
-          >
+          <Labeled label={`Minutes per ${formatDef.periodName}`}>
             <input
               type="number"
               min={1}
@@ -1140,6 +2107,136 @@ export default function PlayingTimeApp() {
               }
             />
           </Labeled>
+          <Labeled label="Foul-out limit">
+            <input
+              type="number"
+              min={1}
+              className="mt-1 w-full rounded-xl border px-3 py-3 text-base"
+              value={foulLimit}
+              onChange={(e) =>
+                changeFoulLimit(clamp(parseInt(e.target.value || "0"), 1, 10))
+              }
+            />
+          </Labeled>
+          <Labeled label="Max stint (min, 0 = off)">
+            <input
+              type="number"
+              min={0}
+              className="mt-1 w-full rounded-xl border px-3 py-3 text-base"
+              value={maxStintMinutes}
+              onChange={(e) =>
+                setMaxStintMinutes(clamp(parseInt(e.target.value || "0"), 0, 90))
+              }
+            />
+          </Labeled>
+          <Labeled label="Min rest (min, 0 = off)">
+            <input
+              type="number"
+              min={0}
+              className="mt-1 w-full rounded-xl border px-3 py-3 text-base"
+              value={minRestMinutes}
+              onChange={(e) =>
+                setMinRestMinutes(clamp(parseInt(e.target.value || "0"), 0, 90))
+              }
+            />
+          </Labeled>
+          {formatDef.lineup?.length > 0 && !formatDraft && (
+            <div className="col-span-2 text-xs text-gray-600">
+              Lineup template: <b>{rulesToText(formatDef.lineup)}</b>
+            </div>
+          )}
+          {customFormats.some((f) => f.id === format) && !formatDraft && (
+            <div className="col-span-2 flex items-center gap-3 text-xs">
+              <button
+                className="text-indigo-600 hover:text-indigo-800"
+                onClick={() => setFormatDraft(draftFrom(formatDef))}
+              >
+                Edit format
+              </button>
+              <button
+                className="text-rose-600 hover:text-rose-800"
+                onClick={() => deleteCustomFormat(format)}
+              >
+                Delete format
+              </button>
+            </div>
+          )}
+          {formatDraft && (
+            <div className="col-span-2 rounded-xl border p-3 space-y-2">
+              <div className="grid grid-cols-3 gap-2 text-xs">
+                {[
+                  ["name", "Name", "text"],
+                  ["periods", "Periods", "number"],
+                  ["periodMinutes", "Minutes each", "number"],
+                  ["prefix", "Label prefix", "text"],
+                  ["periodName", "Period name", "text"],
+                  ["otMinutes", "OT minutes", "number"],
+                  ["otPrefix", "OT prefix", "text"],
+                  ["timeouts", "Timeouts", "number"],
+                  ["otTimeouts", "+TO per OT", "number"],
+                  ["positions", "Positions (comma separated)", "text"],
+                  ["lineup", "Lineup template, e.g. 1+ C, 2+ G or 1 GK", "text"],
+                ].map(([key, label, type]) => (
+                  <label
+                    key={key}
+                    className={
+                      ["name", "positions", "lineup"].includes(key) ? "col-span-3" : ""
+                    }
+                  >
+                    {label}
+                    <input
+                      type={type}
+                      className="mt-1 w-full rounded-lg border px-2 py-2 text-sm"
+                      value={formatDraft[key]}
+                      onChange={(e) =>
+                        setFormatDraft((d) => ({ ...d, [key]: e.target.value }))
+                      }
+                    />
+                  </label>
+                ))}
+              </div>
+              <label className="flex items-center gap-2 text-xs">
+                <input
+                  type="checkbox"
+                  checked={formatDraft.timeoutsPerHalf}
+                  onChange={(e) =>
+                    setFormatDraft((d) => ({ ...d, timeoutsPerHalf: e.target.checked }))
+                  }
+                />
+                Timeouts reset at halftime
+              </label>
+              {lineupRejected.length > 0 && (
+                <div className="text-xs text-amber-700">
+                  Lineup template ignores: {lineupRejected.join(", ")} (write
+                  rules like 1+ C, using the positions above)
+                </div>
+              )}
+              <div className="flex items-center gap-2">
+                <button
+                  className="px-3 py-1.5 rounded-lg bg-emerald-600 text-white text-sm hover:bg-emerald-700"
+                  onClick={saveFormatDraft}
+                >
+                  Save format
+                </button>
+                <button
+                  className="px-3 py-1.5 rounded-lg bg-gray-200 text-gray-700 text-sm hover:bg-gray-300"
+                  onClick={() => setFormatDraft(null)}
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+          <div className="col-span-2">
+            <Labeled label="Opponent">
+              <input
+                className="mt-1 w-full rounded-xl border px-3 py-3 text-base"
+                value={opponent}
+                onChange={(e) => setOpponent(e.target.value)}
+                placeholder="Opponent name"
+              />
+            </Labeled>
+          </div>
         </div>
         <div className="flex flex-wrap items-center gap-2">
           <button
@@ -1176,17 +2273,207 @@ export default function PlayingTimeApp() {
               </button>
             </div>
           )}
-          <div className="ml-auto flex items-center gap-2 text-xs">
-            <span className="text-gray-500">Progress baseline:</span>
-            <Segmented
-              value={baseline}
-              onChange={setBaseline}
-              options={[
-                { value: "goal", label: "Goal" },
-                { value: "ideal", label: "Ideal so far" },
-              ]}
+          {!showEndGameConfirm ? (
+            <button
+              className="px-4 py-3 rounded-xl bg-indigo-100 text-indigo-700 hover:bg-indigo-200 active:scale-[.99] flex items-center gap-2"
+              onClick={() => setShowEndGameConfirm(true)}
+            >
+              <Flag size={16} />
+              End Game
+            </button>
+          ) : (
+            <div className="flex items-center gap-2 bg-indigo-50 border border-indigo-200 rounded-xl px-3 py-2">
+              <span className="text-sm text-indigo-700">Archive and reset?</span>
+              <button
+                className="px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-sm hover:bg-indigo-700"
+                onClick={() => {
+                  endGame();
+                  setShowEndGameConfirm(false);
+                }}
+              >
+                Yes, end game
+              </button>
+              <button
+                className="px-3 py-1.5 rounded-lg bg-gray-200 text-gray-700 text-sm hover:bg-gray-300"
+                onClick={() => setShowEndGameConfirm(false)}
+              >
+                Cancel
+              </button>
+            </div>
+          )}
+          <div className="ml-auto flex flex-col items-end gap-2 text-xs">
+            <div className="flex items-center gap-2">
+              <span className="text-gray-500">Progress baseline:</span>
+              <Segmented
+                value={baseline}
+                onChange={setBaseline}
+                options={[
+                  { value: "goal", label: "Goal" },
+                  { value: "ideal", label: "Ideal so far" },
+                ]}
+              />
+            </div>
+            <div className="flex items-center gap-2">
+              <span className="text-gray-500">Auto-fill by:</span>
+              <Segmented
+                value={fillMode}
+                onChange={setFillMode}
+                options={[
+                  { value: "game", label: "This game" },
+                  { value: "season", label: "Season deficit" },
+                ]}
+              />
+            </div>
+          </div>
+        </div>
+      </section>
+
+      {/* Rotation plan */}
+      <section className="bg-white/90 rounded-2xl shadow-sm p-4 space-y-3">
+        <div className="flex items-center justify-between gap-2">
+          <h2 className="font-semibold flex items-center gap-2">
+            <CalendarClock size={16} /> Rotation Plan
+          </h2>
+          {rotationPlan && !planValid && (
+            <div className="text-xs text-amber-700">
+              Setup changed • regenerate plan
+            </div>
+          )}
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          <Labeled label="Sub every (min)">
+            <input
+              type="number"
+              min={1}
+              className="mt-1 w-28 rounded-xl border px-3 py-3 text-base block"
+              value={sliceMinutes}
+              onChange={(e) =>
+                setSliceMinutes(clamp(parseInt(e.target.value || "0"), 1, 90))
+              }
             />
+          </Labeled>
+          <button
+            className="px-4 py-3 rounded-xl bg-sky-600 text-white hover:bg-sky-700 active:scale-[.99]"
+            onClick={generatePlan}
+          >
+            Generate Plan
+          </button>
+          {rotationPlan && (
+            <button
+              className="px-4 py-3 rounded-xl bg-gray-100 text-gray-700 hover:bg-gray-200 active:scale-[.99]"
+              onClick={() => setRotationPlan(null)}
+            >
+              Clear
+            </button>
+          )}
+        </div>
+        <p className="text-xs text-gray-600">
+          Uses absent and pinned flags as they are now. Goal per player:{" "}
+          <b>{msToClock(goalPerPlayerFullGameMs)}</b>
+        </p>
+        {planValid && (
+          <div className="space-y-2">
+            <div className="flex flex-col gap-1 text-xs">
+              {rotationPlan.slices.map((sl, k) => (
+                <div
+                  key={k}
+                  className={`rounded-lg px-2 py-1 flex gap-2 ${
+                    sl === planSlice ? "bg-indigo-50 ring-1 ring-indigo-300" : "bg-gray-50"
+                  }`}
+                >
+                  <span className="w-28 shrink-0 tabular-nums text-gray-500">
+                    {labelFor(formatDef, sl.period)} {msToClock(sl.startMs)}–
+                    {msToClock(sl.endMs)}
+                  </span>
+                  <span className="min-w-0">{sl.lineup.map(nameById).join(", ")}</span>
+                </div>
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-1 text-[11px]">
+              {players
+                .filter((p) => rotationPlan.plannedMs[p.id] !== undefined)
+                .map((p) => (
+                  <span key={p.id} className="rounded-lg bg-gray-100 px-2 py-0.5 tabular-nums">
+                    {p.name} {msToClock(rotationPlan.plannedMs[p.id])}
+                  </span>
+                ))}
+            </div>
+          </div>
+        )}
+      </section>
+
+      {/* Minimum playing time rules */}
+      <section className="bg-white/90 rounded-2xl shadow-sm p-4 space-y-3">
+        <div className="flex items-center justify-between gap-2">
+          <h2 className="font-semibold flex items-center gap-2">
+            <ClipboardCheck size={16} /> Playing-Time Rules
+          </h2>
+          <button
+            className="px-3 py-1.5 rounded-lg bg-indigo-100 text-indigo-700 text-sm hover:bg-indigo-200 disabled:opacity-50"
+            disabled={!playRules.length}
+            onClick={() => setComplianceView("live")}
+          >
+            Compliance report
+          </button>
+        </div>
+        {playRules.length === 0 ? (
+          <p className="text-xs text-gray-500">
+            No league rules yet. Add one to flag players at risk of missing it.
+          </p>
+        ) : (
+          <div className="flex flex-wrap gap-1">
+            {playRules.map((r, i) => (
+              <span
+                key={i}
+                className="rounded-lg bg-gray-100 pl-2 pr-1 py-0.5 text-xs flex items-center gap-1"
+              >
+                {describeRule(r, formatDef)}
+                <button
+                  className="p-0.5 text-gray-400 hover:text-rose-600"
+                  onClick={() => removePlayRule(i)}
+                  title="Remove rule"
+                >
+                  <X size={12} />
+                </button>
+              </span>
+            ))}
           </div>
+        )}
+        <div className="flex flex-wrap items-end gap-2">
+          <Labeled label="Rule">
+            <select
+              className="mt-1 block rounded-xl border px-3 py-3 text-base"
+              value={ruleDraft.type}
+              onChange={(e) =>
+                setRuleDraft((d) => ({ ...d, type: e.target.value }))
+              }
+            >
+              {RULE_TYPES.map((t) => (
+                <option key={t.value} value={t.value}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+          </Labeled>
+          <Labeled
+            label={ruleDraft.type === "fullPeriods" ? formatDef.periodName + "s" : "Minutes"}
+          >
+            <input
+              type="number"
+              min={1}
+              className="mt-1 w-24 rounded-xl border px-3 py-3 text-base block"
+              value={ruleDraft.value}
+              onChange={(e) =>
+                setRuleDraft((d) => ({ ...d, value: e.target.value }))
+              }
+            />
+          </Labeled>
+          <button
+            className="px-4 py-3 rounded-xl bg-sky-600 text-white hover:bg-sky-700 active:scale-[.99]"
+            onClick={addPlayRule}
+          >
+            Add rule
+          </button>
         </div>
       </section>
 
@@ -1241,20 +2528,368 @@ export default function PlayingTimeApp() {
               </option>
             ))}
           </select>
+          <select
+            className="rounded-xl border px-3 py-3"
+            onChange={(e) => {
+              const v = e.target.value;
+              if (!v) return;
+              exportRosters(v);
+              e.target.value = "";
+            }}
+            defaultValue=""
+            disabled={!simpleRosterOptions.length}
+          >
+            <option value="" disabled>
+              Export…
+            </option>
+            <option value="__all">All rosters</option>
+            {simpleRosterOptions.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+          <button
+            className="px-4 py-3 rounded-xl bg-gray-100 text-gray-700 hover:bg-gray-200 active:scale-[.99]"
+            onClick={() => rosterFileRef.current?.click()}
+          >
+            Import…
+          </button>
+          <input
+            ref={rosterFileRef}
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) readRosterFile(file);
+              e.target.value = "";
+            }}
+          />
+        </div>
+        {rosterImport && (
+          <div className="rounded-xl border p-3 space-y-2 text-sm">
+            <div className="font-medium">Import rosters</div>
+            <ul className="text-xs space-y-0.5">
+              {Object.entries(rosterImport.rosters).map(([name, r]) => (
+                <li key={name}>
+                  <b>{name}</b> • {r.players.length} players
+                  {savedRosters[name] && (
+                    <span className="text-amber-700"> • name already saved</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {rosterImport.errors.length > 0 && (
+              <ul className="text-xs text-rose-700 list-disc pl-4 max-h-32 overflow-y-auto">
+                {rosterImport.errors.map((err, i) => (
+                  <li key={i}>{err}</li>
+                ))}
+              </ul>
+            )}
+            {Object.keys(rosterImport.rosters).some((n) => savedRosters[n]) && (
+              <div className="flex items-center gap-2 text-xs">
+                <span className="text-gray-500">Existing names:</span>
+                <Segmented
+                  value={rosterImport.onConflict}
+                  onChange={(v) =>
+                    setRosterImport((imp) => ({ ...imp, onConflict: v }))
+                  }
+                  options={[
+                    { value: "keep", label: "Keep both" },
+                    { value: "replace", label: "Replace" },
+                    { value: "skip", label: "Skip" },
+                  ]}
+                />
+              </div>
+            )}
+            <div className="flex items-center gap-2">
+              <button
+                className="px-3 py-1.5 rounded-lg bg-emerald-600 text-white text-sm hover:bg-emerald-700"
+                onClick={confirmRosterImport}
+              >
+                Import
+              </button>
+              <button
+                className="px-3 py-1.5 rounded-lg bg-gray-200 text-gray-700 text-sm hover:bg-gray-300"
+                onClick={() => setRosterImport(null)}
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+        <Reorder.Group
+          axis="y"
+          values={players.map((p) => p.id)}
+          onReorder={reorderPlayers}
+          className="flex flex-col gap-1"
+        >
+          {players.map((p) => (
+            <RosterRow
+              key={p.id}
+              player={p}
+              canRemove={players.length > 1}
+              onChange={(fields) => updateProfile(p.id, fields)}
+              onRemove={() => removePlayer(p.id)}
+            />
+          ))}
+        </Reorder.Group>
+        <button
+          className="px-4 py-3 rounded-xl bg-gray-100 text-gray-700 hover:bg-gray-200 active:scale-[.99] flex items-center gap-2"
+          onClick={addPlayer}
+        >
+          <UserPlus size={16} />
+          Add player
+        </button>
+      </section>
+
+      {/* Game history */}
+      <section className="bg-white/90 rounded-2xl shadow-sm p-4 space-y-3">
+        <div className="flex items-center justify-between gap-2">
+          <h2 className="font-semibold flex items-center gap-2">
+            <History size={16} /> Game History
+          </h2>
+          {gameHistory.length > 0 && (
+            <button
+              className="px-3 py-1.5 rounded-lg bg-gray-100 text-gray-700 text-sm hover:bg-gray-200 flex items-center gap-1"
+              onClick={() => setExportDialog({ scope: "history", fileType: "csv" })}
+            >
+              <Download size={14} /> Export all
+            </button>
+          )}
+        </div>
+        {gameHistory.length === 0 ? (
+          <p className="text-xs text-gray-500">
+            No finished games yet. Use End Game to archive one.
+          </p>
+        ) : (
+          <div className="flex flex-col gap-1">
+            {gameHistory.map((g) => (
+              <div
+                key={g.id}
+                className="flex items-center gap-2 rounded-xl border px-3 py-2"
+              >
+                <button
+                  className="flex-1 min-w-0 text-left"
+                  onClick={() => setViewingGameId(g.id)}
+                >
+                  <div className="text-sm font-medium truncate">
+                    {g.opponent ? `vs ${g.opponent}` : "Game"}
+                  </div>
+                  <div className="text-[11px] text-gray-500">
+                    {new Date(g.date).toLocaleDateString()} • {g.rosterName}
+                  </div>
+                </button>
+                <button
+                  className="p-2 rounded-lg text-gray-400 hover:text-rose-600 hover:bg-rose-50"
+                  onClick={() => deleteGameById(g.id)}
+                  title="Delete game"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      {/* Multi-device sync */}
+      <section className="bg-white/90 rounded-2xl shadow-sm p-4 space-y-3">
+        <div className="flex items-center justify-between gap-2">
+          <h2 className="font-semibold flex items-center gap-2">
+            <RefreshCw size={16} /> Sync Devices
+          </h2>
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={syncConfig.enabled}
+              onChange={(e) =>
+                setSyncConfig((c) => ({ ...c, enabled: e.target.checked }))
+              }
+            />
+            {syncConfig.enabled ? `Sync ${syncStatus}` : "Off"}
+          </label>
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          <Labeled label="Room">
+            <input
+              className="mt-1 block w-40 rounded-xl border px-3 py-3 text-base"
+              value={syncConfig.room}
+              onChange={(e) =>
+                setSyncConfig((c) => ({ ...c, room: e.target.value }))
+              }
+              placeholder="e.g. tigers-u10"
+            />
+          </Labeled>
+          <div className="text-xs space-y-1">
+            <div className="text-gray-500">Connect through</div>
+            <Segmented
+              value={syncConfig.transport}
+              onChange={(v) => setSyncConfig((c) => ({ ...c, transport: v }))}
+              options={[
+                { value: "broadcast", label: "Tabs on this device" },
+                { value: "relay", label: "Relay server" },
+              ]}
+            />
+          </div>
+          {syncConfig.transport === "relay" && (
+            <Labeled label="Relay URL">
+              <input
+                className="mt-1 block w-56 rounded-xl border px-3 py-3 text-base"
+                value={syncConfig.url}
+                onChange={(e) =>
+                  setSyncConfig((c) => ({ ...c, url: e.target.value }))
+                }
+              />
+            </Labeled>
+          )}
+        </div>
+        <p className="text-xs text-gray-600">
+          Devices in the same room share this game. A device joining takes the
+          room's game. When two devices change the same thing at once, the later
+          change wins, per player for subs and separately for the clock. Run the
+          relay on a laptop with <code>npm run relay</code>.
+        </p>
+        {syncConfig.enabled && syncConfig.room.trim() && (
+          <button
+            className="px-4 py-3 rounded-xl bg-gray-100 text-gray-700 hover:bg-gray-200 active:scale-[.99] flex items-center gap-2"
+            onClick={() => showShareLink("spectator", spectatorLink(syncConfig))}
+          >
+            <Eye size={16} />
+            Spectator link
+          </button>
+        )}
+        {share?.kind === "spectator" && (
+          <SharePanel
+            share={share}
+            note="Read-only for parents. Live while this device syncs."
+            onCopy={copyShareLink}
+            onClose={() => setShare(null)}
+          />
+        )}
+      </section>
+
+      {/* Backup & share */}
+      <section className="bg-white/90 rounded-2xl shadow-sm p-4 space-y-3">
+        <h2 className="font-semibold flex items-center gap-2">
+          <Share2 size={16} /> Backup &amp; Share
+        </h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            className="px-4 py-3 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 active:scale-[.99] flex items-center gap-2"
+            onClick={shareGame}
+          >
+            <QrCode size={16} />
+            Share game
+          </button>
+          <button
+            className="px-4 py-3 rounded-xl bg-gray-100 text-gray-700 hover:bg-gray-200 active:scale-[.99] flex items-center gap-2"
+            onClick={downloadBackup}
+          >
+            <Download size={16} />
+            Backup file
+          </button>
+          <button
+            className="px-4 py-3 rounded-xl bg-gray-100 text-gray-700 hover:bg-gray-200 active:scale-[.99]"
+            onClick={() => backupFileRef.current?.click()}
+          >
+            Restore…
+          </button>
+          <input
+            ref={backupFileRef}
+            type="file"
+            accept=".ptbackup,text/plain"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) readBackupFile(file);
+              e.target.value = "";
+            }}
+          />
         </div>
+        {share?.kind === "game" && (
+          <SharePanel
+            share={share}
+            note="A snapshot of now; later changes aren't included."
+            onCopy={copyShareLink}
+            onClose={() => setShare(null)}
+          />
+        )}
       </section>
 
+      {/* Archived game (read-only) */}
+      <AnimatePresence>
+        {viewingGame && (
+          <ArchivedGameView
+            game={viewingGame}
+            onClose={() => setViewingGameId(null)}
+            onCompliance={() => setComplianceView("archived")}
+            onReport={() => openReport(viewingGame)}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Minutes export */}
+      {exportDialog && (
+        <ExportDialog
+          value={exportDialog}
+          onChange={setExportDialog}
+          historyCount={gameHistory.length}
+          onExport={() => exportMinutes(exportDialog)}
+          onClose={() => setExportDialog(null)}
+        />
+      )}
+
+      {/* Post-game report preview */}
+      {report && <ReportView report={report} onClose={() => setReport(null)} />}
+
+      {/* Compliance report, outside the app root so it prints on its own */}
+      {complianceView === "live" &&
+        createPortal(
+          <ComplianceReport
+            title={`${rosterName || "Roster"}${opponent ? ` vs ${opponent}` : ""}`}
+            date={new Date().toISOString()}
+            formatDef={formatDef}
+            periodMinutes={periodMinutes}
+            rules={playRules}
+            players={players}
+            resultsFor={complianceFor}
+            signature={signature}
+            stale={signature != null && signature.gameMs !== gameElapsedMs}
+            onSign={(name) =>
+              setSignature({
+                name,
+                at: new Date().toISOString(),
+                gameMs: gameElapsedMs,
+              })
+            }
+            onClose={() => setComplianceView(null)}
+          />,
+          document.body
+        )}
+      {complianceView === "archived" &&
+        viewingGame &&
+        createPortal(
+          <ArchivedComplianceReport
+            game={viewingGame}
+            onSign={(name) => signArchivedGame(viewingGame.id, name)}
+            onClose={() => setComplianceView(null)}
+          />,
+          document.body
+        )}
+
       {/* Sticky mobile controls */}
       <div className="fixed bottom-0 left-0 right-0 border-t bg-white/95 backdrop-blur supports-[backdrop-filter]:bg-white/70 z-50">
         <div className="max-w-3xl mx-auto p-3 flex items-center gap-2 justify-between">
           <div className="text-xs text-gray-600 hidden sm:block">
-            Current {labelFor(format, currentPeriod)}:{" "}
+            Current {labelFor(formatDef, currentPeriod)}:{" "}
             <b>{msToClock(periodElapsedMs[currentPeriod] || 0)}</b>
           </div>
           <div className="flex items-center gap-2 flex-wrap justify-center sm:justify-end flex-1">
-            <AutoFillButton onClick={autoFill} />
+            <AutoFillButton onClick={autoFill} onCourt={onCourt} fillMode={fillMode} />
             <IconButton
-              onClick={() => setRunning((r) => !r)}
+              onClick={startStop}
               variant={running ? "amber" : "emerald"}
               icon={running ? Pause : Play}
               label={running ? "Pause" : "Start"}
@@ -1264,7 +2899,13 @@ export default function PlayingTimeApp() {
               disabled={currentPeriod >= numPeriods - 1}
               variant="indigo"
               icon={SkipForward}
-              label={`Next ${labelFor(format, currentPeriod + 1)}`}
+              label={`Next ${labelFor(formatDef, currentPeriod + 1)}`}
+            />
+            <IconButton
+              onClick={undoLastSub}
+              variant="slate"
+              icon={Undo2}
+              label="Undo Sub"
             />
             <IconButton
               onClick={resetAll}
@@ -1274,10 +2915,17 @@ export default function PlayingTimeApp() {
               className="hidden sm:inline-flex"
             />
             <IconButton
-              onClick={csvExport}
+              onClick={() => openReport(gameRecord())}
+              variant="blue"
+              icon={FileText}
+              label="Report"
+              className="hidden sm:inline-flex"
+            />
+            <IconButton
+              onClick={() => setExportDialog({ scope: "game", fileType: "csv" })}
               variant="blue"
               icon={Download}
-              label="CSV"
+              label="Export"
               className="hidden sm:inline-flex"
             />
           </div>
@@ -1288,6 +2936,192 @@ export default function PlayingTimeApp() {
 }
 
 // ---------- Small UI pieces ----------
+function SharePanel({ share, note, onCopy, onClose }) {
+  return (
+    <div className="rounded-xl border p-3 space-y-2">
+      {share.qr ? (
+        <img
+          src={share.qr}
+          alt="QR code for this link"
+          className="mx-auto w-64 h-64 [image-rendering:pixelated]"
+        />
+      ) : (
+        <p className="text-xs text-amber-700">
+          Too much to fit in a QR code. Send the link instead.
+        </p>
+      )}
+      <input
+        readOnly
+        className="w-full rounded-lg border px-2 py-1.5 text-xs text-gray-600"
+        value={share.link}
+        onFocus={(e) => e.target.select()}
+      />
+      <div className="flex items-center gap-2">
+        <button
+          className="px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-sm hover:bg-indigo-700"
+          onClick={onCopy}
+        >
+          Copy link
+        </button>
+        <button
+          className="px-3 py-1.5 rounded-lg bg-gray-200 text-gray-700 text-sm hover:bg-gray-300"
+          onClick={onClose}
+        >
+          Close
+        </button>
+        <span className="text-[11px] text-gray-500 ml-auto">{note}</span>
+      </div>
+    </div>
+  );
+}
+
+// An engine game from a checked saved state (see validateState), configured
+// the way the scorer's app configures it
+const spectatedGame = (saved) =>
+  gameReducer(
+    createGame({
+      config: {
+        format: saved.formatDef,
+        periodLengthMs: saved.periodMinutes * 60 * 1000,
+        onCourt: saved.onCourt,
+        otCountsTowardGoal: saved.otCountsTowardGoal ?? true,
+        maxStintMs: (saved.maxStintMinutes ?? 0) * 60 * 1000,
+        minRestMs: (saved.minRestMinutes ?? 0) * 60 * 1000,
+      },
+      players: saved.players,
+    }),
+    act.restore(saved)
+  );
+
+// Read-only live view for parents, following a sync room (#watch=<room>).
+// The coach's device only sends changes, so the clock and the minutes of
+// whoever is on court are carried forward here from the shared anchor.
+export function SpectatorView({ room, relay }) {
+  const [state, setState] = useState(null);
+  const [status, setStatus] = useState("connecting");
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const session = createSyncSession({
+      transport: relay ? relayTransport(relay, room) : broadcastTransport(room),
+      onStatus: setStatus,
+      // Checked like a saved game before anything reads it
+      onRemoteState: (remote) => {
+        const checked = validateState(remote);
+        if (!checked.error) setState(checked.data);
+      },
+      listenOnly: true,
+    });
+    return () => session.close();
+  }, [room, relay]);
+  useEffect(() => {
+    const iv = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(iv);
+  }, []);
+  // The scorer's game run through the same engine, so the clock and the
+  // figures here match theirs
+  const received = useMemo(() => state && spectatedGame(state), [state]);
+  const game = useMemo(
+    () => received && gameReducer(received, act.tick(now)),
+    [received, now]
+  );
+
+  if (!game) {
+    return (
+      <div className="min-h-screen flex items-center justify-center text-sm text-gray-500">
+        {status === "connected"
+          ? `Waiting for the coach in “${room}”…`
+          : `Connecting to “${room}”…`}
+      </div>
+    );
+  }
+
+  const formatDef = game.config.format;
+  const { currentPeriod: cur, players } = game;
+  const clockMs = game.periodElapsedMs[cur] || 0;
+  const { fairMsFor, goalFor } = gameMetrics(game);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-sky-50 via-white to-violet-50 text-gray-900">
+      <header className="sticky top-0 z-10 backdrop-blur bg-white/90 border-b">
+        <div className="max-w-3xl mx-auto px-4 py-3 flex items-center justify-between gap-3">
+          <div>
+            <div className="font-semibold leading-tight">
+              {state.rosterName}
+              {state.opponent ? ` vs ${state.opponent}` : ""}
+            </div>
+            <div className="text-xs text-gray-500">
+              Live minutes •{" "}
+              <span
+                className={status === "connected" ? "text-emerald-600" : "text-amber-600"}
+              >
+                {status}
+              </span>
+            </div>
+          </div>
+          <div className="text-right">
+            <div className="text-2xl font-semibold tabular-nums">
+              {msToClock(clockMs)}
+            </div>
+            <div className="text-xs text-gray-500">
+              {labelFor(formatDef, cur)} • {game.running ? "running" : "stopped"}
+            </div>
+          </div>
+        </div>
+      </header>
+      <main className="max-w-3xl mx-auto px-4 py-4">
+        <section className="bg-white/90 rounded-2xl shadow-sm p-3">
+          <table className="w-full text-sm tabular-nums">
+            <thead>
+              <tr className="text-xs text-gray-500">
+                <th className="text-left font-medium py-1">Player</th>
+                <th className="text-right font-medium py-1">Played</th>
+                <th className="text-right font-medium py-1">Goal</th>
+                <th className="text-right font-medium py-1">Δ</th>
+              </tr>
+            </thead>
+            <tbody>
+              {players.map((p) => {
+                const goalMs = goalFor(p);
+                const delta = fairMsFor(p) - goalMs;
+                return (
+                  <tr
+                    key={p.id}
+                    className={`border-t ${isUnavailable(p) ? "text-gray-400" : ""}`}
+                  >
+                    <td className="py-1.5">
+                      <span className="flex items-center gap-2">
+                        <JerseyBadge player={p} />
+                        {p.name}
+                        {p.active && (
+                          <span className="text-[10px] font-semibold rounded px-1 bg-emerald-100 text-emerald-700">
+                            ON
+                          </span>
+                        )}
+                      </span>
+                    </td>
+                    <td className="py-1.5 text-right">{msToClock(p.totalMs)}</td>
+                    <td className="py-1.5 text-right text-gray-500">
+                      {msToClock(goalMs)}
+                    </td>
+                    <td
+                      className={`py-1.5 text-right ${
+                        delta < 0 ? "text-blue-600" : "text-rose-600"
+                      }`}
+                    >
+                      {delta < 0 ? "-" : "+"}
+                      {msToClock(Math.abs(delta))}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </section>
+      </main>
+    </div>
+  );
+}
+
 function KpiCard({ icon: Icon, label, value, tooltip }) {
   return (
     <div className="rounded-2xl bg-white/90 shadow-sm p-3 flex items-center gap-3">
@@ -1309,6 +3143,542 @@ function KpiCard({ icon: Icon, label, value, tooltip }) {
   );
 }
 
+// Team vs opponent score with a per-period line score. Pass onOpponentScore
+// to get quick opponent +1/+2/+3 buttons (omit it for a read-only board).
+function Scoreboard({
+  usLabel,
+  oppLabel,
+  usPoints,
+  oppPoints,
+  periodLabels,
+  onOpponentScore,
+  className = "",
+}) {
+  const sum = (arr) => arr.reduce((a, b) => a + b, 0);
+  return (
+    <div className={`rounded-2xl bg-white/90 shadow-sm p-3 ${className}`}>
+      <div className="flex items-center gap-3">
+        <div className="flex-1 min-w-0 flex items-baseline gap-2 text-lg font-semibold tabular-nums">
+          <span className="truncate text-sm font-medium text-gray-600">{usLabel}</span>
+          <span>{sum(usPoints)}</span>
+          <span className="text-gray-400">–</span>
+          <span>{sum(oppPoints)}</span>
+          <span className="truncate text-sm font-medium text-gray-600">{oppLabel}</span>
+        </div>
+        {onOpponentScore && (
+          <div className="flex items-center gap-1">
+            {[-1, 1, 2, 3].map((pts) => (
+              <button
+                key={pts}
+                onClick={() => onOpponentScore(pts)}
+                className="px-2 py-1 rounded-lg text-xs font-semibold bg-gray-100 text-gray-700 hover:bg-gray-200"
+                title={`Opponent ${pts > 0 ? "+" : ""}${pts}`}
+              >
+                {pts > 0 ? `+${pts}` : "−1"}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="mt-1 flex flex-wrap gap-x-3 text-[11px] text-gray-500 tabular-nums">
+        {periodLabels.map((l, i) => (
+          <span key={l}>
+            {l} {usPoints[i] || 0}–{oppPoints[i] || 0}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function MinutesChart({ players }) {
+  const data = players.map((p) => ({
+    name: p.name,
+    minutes: Math.round(p.totalMs / 600) / 10,
+  }));
+  return (
+    <section className="bg-white/90 rounded-2xl shadow-sm p-3">
+      <h3 className="font-semibold mb-2">Total Minutes by Player</h3>
+      <div className="h-56 md:h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart
+            data={data}
+            margin={{ top: 10, right: 10, bottom: 10, left: 10 }}
+          >
+            <XAxis
+              dataKey="name"
+              tick={{ fontSize: 10 }}
+              interval={0}
+              angle={-25}
+              textAnchor="end"
+              height={50}
+            />
+            <YAxis tick={{ fontSize: 10 }} />
+            <Tooltip formatter={(v) => `${v} min`} />
+            <Bar dataKey="minutes" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </section>
+  );
+}
+
+// Read-only view of an archived game, reusing the live KPI cards and chart
+function ArchivedGameView({ game, onClose, onCompliance, onReport }) {
+  // Same prorated figures as the live view and the report (see report.js)
+  const { formatDef, periodLabels, gameMs, idealMsPerPlayer, goalMsPerPlayer } =
+    gameFigures(game);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-[60] overflow-y-auto bg-gradient-to-b from-sky-50 via-white to-violet-50"
+    >
+      <div className="sticky top-0 z-10 backdrop-blur bg-white/90 border-b">
+        <div className="max-w-3xl mx-auto px-4 py-3 flex items-center justify-between gap-3">
+          <div>
+            <div className="font-semibold leading-tight">
+              {game.opponent ? `vs ${game.opponent}` : "Game"}
+            </div>
+            <div className="text-xs text-gray-500">
+              {new Date(game.date).toLocaleString()} • {game.rosterName} •{" "}
+              {formatDef.name}
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {game.playRules?.length > 0 && (
+              <IconButton
+                onClick={onCompliance}
+                variant="indigo"
+                icon={ClipboardCheck}
+                label="Compliance"
+              />
+            )}
+            <IconButton onClick={onReport} variant="blue" icon={FileText} label="Report" />
+            <IconButton onClick={onClose} variant="slate" icon={X} label="Close" />
+          </div>
+        </div>
+      </div>
+      <main className="max-w-3xl mx-auto px-4 py-4 space-y-4">
+        <div className="grid grid-cols-2 gap-2 sm:grid-cols-4">
+          <KpiCard icon={Clock} label="Game" value={msToClock(gameMs)} />
+          <KpiCard
+            icon={Timer}
+            label="Timeouts"
+            value={`${game.timeoutsUsed}${
+              game.twoTeamMode ? `–${game.oppTimeoutsUsed ?? 0}` : ""
+            } used • ${game.overtimes} OT`}
+          />
+          <KpiCard
+            icon={Users}
+            label="Ideal so far"
+            value={msToClock(idealMsPerPlayer)}
+            tooltip={FAIR_SHARE_TIP}
+          />
+          <KpiCard
+            icon={Gauge}
+            label="Goal / player"
+            value={msToClock(goalMsPerPlayer)}
+            tooltip={GOAL_TIP}
+          />
+          <Scoreboard
+            className="col-span-2 sm:col-span-4"
+            usLabel={game.rosterName || "Us"}
+            oppLabel={game.opponent || "Opponent"}
+            usPoints={periodLabels.map((_, i) =>
+              game.players.reduce((sum, p) => sum + (p.points?.[i] || 0), 0)
+            )}
+            oppPoints={game.oppPoints ?? []}
+            periodLabels={periodLabels}
+          />
+        </div>
+        <section className="bg-white/90 rounded-2xl shadow-sm p-3 overflow-x-auto">
+          <table className="w-full text-xs tabular-nums">
+            <thead>
+              <tr className="text-gray-500">
+                <th className="text-left font-medium py-1">Player</th>
+                <th className="text-right font-medium py-1">Total</th>
+                {periodLabels.map((l) => (
+                  <th key={l} className="text-right font-medium py-1">
+                    {l}
+                  </th>
+                ))}
+                <th className="text-right font-medium py-1">Pts</th>
+              </tr>
+            </thead>
+            <tbody>
+              {game.players.map((p) => (
+                <tr
+                  key={p.id}
+                  className={`border-t ${p.absent ? "text-gray-400" : ""}`}
+                >
+                  <td className="py-1">{p.name}</td>
+                  <td className="py-1 text-right font-semibold">
+                    {msToClock(p.totalMs)}
+                  </td>
+                  {p.periodMs.map((ms, i) => (
+                    <td key={i} className="py-1 text-right">
+                      {msToClock(ms)}
+                    </td>
+                  ))}
+                  <td className="py-1 text-right">
+                    {(p.points ?? []).reduce((a, b) => a + b, 0)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+        <MinutesChart players={game.players} />
+      </main>
+    </motion.div>
+  );
+}
+
+// Results of an archived game against the rules it was played under
+function ArchivedComplianceReport({ game, onSign, onClose }) {
+  const formatDef = game.formatDef ?? formatById(game.format);
+  const ctx = {
+    periods: formatDef.periods,
+    periodLengthMs: (game.periodMinutes ?? 0) * 60 * 1000,
+    periodElapsedMs: game.periodElapsedMs,
+    currentPeriod: game.periodElapsedMs.length - 1,
+    finished: true,
+  };
+  return (
+    <ComplianceReport
+      title={`${game.rosterName}${game.opponent ? ` vs ${game.opponent}` : ""}`}
+      date={game.date}
+      formatDef={formatDef}
+      periodMinutes={game.periodMinutes}
+      rules={game.playRules ?? []}
+      players={game.players}
+      resultsFor={(p) =>
+        checkPlayer(
+          game.playRules ?? [],
+          p.periodMs,
+          ctx,
+          p.availability ? availableWindows(p).length === 0 : p.absent
+        )
+      }
+      signature={game.complianceSignature}
+      onSign={onSign}
+      onClose={onClose}
+    />
+  );
+}
+
+const STATUS_STYLES = {
+  met: ["Met", "text-emerald-700"],
+  ok: ["On track", "text-gray-600"],
+  at_risk: ["At risk", "text-amber-700"],
+  missed: ["Missed", "text-rose-700"],
+  exempt: ["Exempt", "text-gray-400"],
+};
+
+// Pick what to export and as which file type
+function ExportDialog({ value, onChange, historyCount, onExport, onClose }) {
+  return (
+    <div className="fixed inset-0 z-[70] flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-sm rounded-2xl bg-white shadow-lg p-4 space-y-3">
+        <h2 className="font-semibold flex items-center gap-2">
+          <Download size={16} /> Export Minutes
+        </h2>
+        <div className="text-xs space-y-1">
+          <div className="text-gray-500">Games</div>
+          <Segmented
+            value={value.scope}
+            onChange={(scope) => onChange({ ...value, scope })}
+            options={[
+              { value: "game", label: "Current game" },
+              ...(historyCount
+                ? [{ value: "history", label: `History (${historyCount})` }]
+                : []),
+            ]}
+          />
+        </div>
+        <div className="text-xs space-y-1">
+          <div className="text-gray-500">File</div>
+          <Segmented
+            value={value.fileType}
+            onChange={(fileType) => onChange({ ...value, fileType })}
+            options={[
+              { value: "csv", label: "CSV" },
+              { value: "json", label: "JSON" },
+            ]}
+          />
+        </div>
+        <p className="text-[11px] text-gray-500">
+          Times are in milliseconds, with each player's goal, % of goal and the
+          difference from their ideal and goal, plus points and team fouls by
+          period. CSV has one row per player per game and a row each for the
+          team and the opponent, with the same columns for every game.
+        </p>
+        <div className="flex items-center gap-2">
+          <button
+            className="px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-sm hover:bg-indigo-700"
+            onClick={onExport}
+          >
+            Download
+          </button>
+          <button
+            className="px-3 py-1.5 rounded-lg bg-gray-200 text-gray-700 text-sm hover:bg-gray-300"
+            onClick={onClose}
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Preview of the standalone report page (see report.js). It prints from its
+// own frame, so none of the app's styles get in the way.
+function ReportView({ report, onClose }) {
+  const frameRef = useRef(null);
+  return (
+    <div className="fixed inset-0 z-[70] flex flex-col bg-white text-gray-900">
+      <div className="border-b">
+        <div className="max-w-3xl mx-auto px-4 py-3 flex items-center justify-between gap-2 flex-wrap">
+          <div className="font-semibold">Game Report</div>
+          <div className="flex items-center gap-2 flex-wrap">
+            <IconButton
+              onClick={() => frameRef.current?.contentWindow?.print()}
+              variant="indigo"
+              icon={Printer}
+              label="Print"
+            />
+            <IconButton
+              onClick={() =>
+                downloadFile(`${report.filename}.html`, report.html, "text/html")
+              }
+              variant="blue"
+              icon={Download}
+              label="HTML"
+            />
+            <IconButton
+              onClick={() =>
+                downloadFile(`${report.filename}_chart.svg`, report.svg, "image/svg+xml")
+              }
+              variant="blue"
+              icon={Download}
+              label="Chart SVG"
+            />
+            <IconButton onClick={onClose} variant="slate" icon={X} label="Close" />
+          </div>
+        </div>
+      </div>
+      <iframe
+        ref={frameRef}
+        title="Game report"
+        srcDoc={report.html}
+        className="flex-1 w-full"
+      />
+    </div>
+  );
+}
+
+// Printable per-player minutes and rule results with the coach's sign-off
+function ComplianceReport({
+  title,
+  date,
+  formatDef,
+  periodMinutes,
+  rules,
+  players,
+  resultsFor,
+  signature,
+  stale = false,
+  onSign,
+  onClose,
+}) {
+  const [signer, setSigner] = useState(signature?.name ?? "");
+  const regulation = [...Array(formatDef.periods).keys()];
+
+  return (
+    <div className="fixed inset-0 z-[70] overflow-y-auto bg-white text-gray-900 print:static print:overflow-visible">
+      <div className="max-w-3xl mx-auto px-4 py-4 space-y-4">
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <h1 className="font-semibold text-lg leading-tight">
+              Playing-Time Compliance
+            </h1>
+            <div className="text-sm">{title}</div>
+            <div className="text-xs text-gray-500">
+              {new Date(date).toLocaleString()} • {formatDef.name} •{" "}
+              {formatDef.periods} × {periodMinutes} min
+            </div>
+          </div>
+          <div className="flex items-center gap-2 print:hidden">
+            <IconButton
+              onClick={() => window.print()}
+              variant="indigo"
+              icon={Printer}
+              label="Print"
+            />
+            <IconButton onClick={onClose} variant="slate" icon={X} label="Close" />
+          </div>
+        </div>
+        <ol className="text-xs list-decimal pl-5">
+          {rules.map((r, i) => (
+            <li key={i}>{describeRule(r, formatDef)}</li>
+          ))}
+        </ol>
+        <table className="w-full text-xs tabular-nums">
+          <thead>
+            <tr className="text-gray-500">
+              <th className="text-left font-medium py-1">Player</th>
+              {regulation.map((i) => (
+                <th key={i} className="text-right font-medium py-1">
+                  {labelFor(formatDef, i)}
+                </th>
+              ))}
+              {rules.map((_, i) => (
+                <th key={i} className="text-right font-medium py-1">
+                  Rule {i + 1}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {players.map((p) => {
+              const results = resultsFor(p);
+              return (
+                <tr key={p.id} className="border-t">
+                  <td className="py-1">{p.name}</td>
+                  {regulation.map((i) => (
+                    <td key={i} className="py-1 text-right">
+                      {msToClock(p.periodMs[i] || 0)}
+                    </td>
+                  ))}
+                  {results.map((r, i) => (
+                    <td
+                      key={i}
+                      className={`py-1 text-right ${STATUS_STYLES[r.status][1]}`}
+                    >
+                      {STATUS_STYLES[r.status][0]}
+                      {r.detail && (
+                        <div className="text-[10px] text-gray-500">{r.detail}</div>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {signature ? (
+          <p className="text-sm">
+            {/* A signature over different times is void, on screen and paper */}
+            <span className={stale ? "line-through text-gray-400" : ""}>
+              Signed by <b>{signature.name}</b> on{" "}
+              {new Date(signature.at).toLocaleString()}
+            </span>
+            {stale && (
+              <span className="text-amber-700">
+                {" "}
+                • void: times changed since signing
+              </span>
+            )}
+          </p>
+        ) : (
+          <p className="text-sm text-gray-500 print:hidden">Not signed yet.</p>
+        )}
+        {(!signature || stale) && (
+          <div className="flex items-end gap-2 print:hidden">
+            <Labeled label="Coach name">
+              <input
+                className="mt-1 block rounded-xl border px-3 py-2 text-base"
+                value={signer}
+                onChange={(e) => setSigner(e.target.value)}
+              />
+            </Labeled>
+            <button
+              className="px-4 py-2 rounded-xl bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+              disabled={!signer.trim()}
+              onClick={() => onSign(signer.trim())}
+            >
+              Sign report
+            </button>
+          </div>
+        )}
+        <div className="hidden print:grid grid-cols-2 gap-8 pt-10 text-xs">
+          <div className="border-t pt-1">Coach signature / date</div>
+          <div className="border-t pt-1">League official / date</div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// One draggable roster line: jersey, name, color and notes
+function RosterRow({ player: p, canRemove, onChange, onRemove }) {
+  const controls = useDragControls();
+  return (
+    <Reorder.Item
+      value={p.id}
+      dragListener={false}
+      dragControls={controls}
+      className="flex items-center gap-2 rounded-xl border bg-white px-2 py-1.5"
+    >
+      <button
+        className="p-1 text-gray-400 cursor-grab touch-none"
+        onPointerDown={(e) => controls.start(e)}
+        title="Drag to reorder"
+      >
+        <GripVertical size={16} />
+      </button>
+      <input
+        className="w-12 rounded-lg border px-2 py-1.5 text-sm text-center tabular-nums"
+        value={p.number}
+        onChange={(e) => onChange({ number: e.target.value.slice(0, 3) })}
+        placeholder="#"
+      />
+      <input
+        className="flex-1 min-w-0 rounded-lg border px-2 py-1.5 text-sm"
+        value={p.name}
+        onChange={(e) => onChange({ name: e.target.value })}
+      />
+      <input
+        className="flex-1 min-w-0 rounded-lg border px-2 py-1.5 text-sm hidden sm:block"
+        value={p.notes}
+        onChange={(e) => onChange({ notes: e.target.value })}
+        placeholder="Notes"
+      />
+      <input
+        type="color"
+        className="h-8 w-8 shrink-0 rounded border"
+        value={p.color || "#9ca3af"}
+        onChange={(e) => onChange({ color: e.target.value })}
+        title="Player color"
+      />
+      <button
+        className="p-1.5 rounded-lg text-gray-400 hover:text-rose-600 hover:bg-rose-50 disabled:opacity-30"
+        disabled={!canRemove}
+        onClick={onRemove}
+        title="Remove player"
+      >
+        <Trash2 size={14} />
+      </button>
+    </Reorder.Item>
+  );
+}
+
+function JerseyBadge({ player: p }) {
+  if (!p.number && !p.color) return null;
+  return (
+    <span
+      className="shrink-0 inline-flex h-6 min-w-6 items-center justify-center rounded-md px-1 text-[11px] font-bold tabular-nums text-white"
+      style={{ backgroundColor: p.color || "#6b7280" }}
+    >
+      {p.number || "•"}
+    </span>
+  );
+}
+
 function Labeled({ label, children }) {
   return (
     <label className="text-sm block">
@@ -1366,7 +3736,7 @@ function IconButton({
   );
 }
 
-function AutoFillButton({ onClick }) {
+function AutoFillButton({ onClick, onCourt, fillMode }) {
   const [showTooltip, setShowTooltip] = useState(false);
   const longPressRef = useRef(null);
 
@@ -1420,8 +3790,12 @@ function AutoFillButton({ onClick }) {
           >
             <div className="font-semibold mb-1">Auto Fill</div>
             <p>
-              Automatically selects the {5} players with the least playing time
-              to go on court. Great for ensuring fair play time distribution!
+              Puts the {onCourt} players furthest behind their fair share of the
+              minutes so far on court. Pinned players stay on; anyone resting or
+              past the stint limit sits.
+              {fillMode === "season"
+                ? " Past games' season deficit counts as time still owed."
+                : " Switch Auto-fill to Season deficit to count past games too."}
             </p>
             <div className="absolute bottom-0 left-1/2 -translate-x-1/2 translate-y-1/2 rotate-45 w-2 h-2 bg-gray-900" />
           </motion.div>
@@ -1454,30 +3828,61 @@ function Progress({ value }) {
   );
 }
 
-// ---------- Local storage helpers ----------
-function loadRosters() {
+// Sync settings belong to this device, outside the synced game state
+function loadSyncConfig() {
+  const defaults = {
+    enabled: false,
+    transport: "broadcast",
+    room: "",
+    url: `ws://${location.hostname || "localhost"}:8787`,
+  };
   try {
-    const raw = localStorage.getItem(STORAGE_KEY_ROSTERS);
-    return raw ? JSON.parse(raw) : {};
+    const raw = localStorage.getItem(STORAGE_KEY_SYNC);
+    return raw ? { ...defaults, ...JSON.parse(raw) } : defaults;
   } catch {
-    return {};
+    return defaults;
   }
 }
-function saveRosters(obj) {
+function saveSyncConfig(config) {
   try {
-    localStorage.setItem(STORAGE_KEY_ROSTERS, JSON.stringify(obj));
+    localStorage.setItem(STORAGE_KEY_SYNC, JSON.stringify(config));
   } catch {}
 }
-function saveState(state) {
-  try {
-    localStorage.setItem(STORAGE_KEY_STATE, JSON.stringify(state));
-  } catch {}
+
+// Hand a generated file to the browser as a download
+function downloadFile(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ---------- Local storage helpers ----------
+// Thin wrappers over the versioned stores in storage.js
+function loadRosters() {
+  return readStore("rosters").data;
+}
+function saveRosters(obj) {
+  writeStore("rosters", obj);
+}
+function loadHistory() {
+  return readStore("history").data;
+}
+function saveHistory(list) {
+  writeStore("history", list);
+}
+function loadFormats() {
+  return readStore("formats").data;
+}
+function saveFormats(list) {
+  writeStore("formats", list);
+}
+function saveState(state, options) {
+  return writeStore("state", state, options);
 }
 function loadState() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY_STATE);
-    return raw ? JSON.parse(raw) : null;
-  } catch {
-    return null;
-  }
-}
\ No newline at end of file
+  return readStore("state").data;
+}
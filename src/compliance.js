@@ -0,0 +1,113 @@
+// ---------- Minimum playing time rules ----------
+// League rules checked against each player's regulation periodMs:
+//   { type: "fullPeriods", count }      play `count` whole periods
+//   { type: "minutesPerHalf", minutes } at least `minutes` in each half
+//   { type: "minutesPerGame", minutes } at least `minutes` overall
+// Overtime never counts. Each check returns a status:
+//   met · ok (still reachable with room to spare) · at_risk (only just
+//   reachable) · missed (no longer reachable, or the game is over)
+
+export const RULE_TYPES = [
+  { value: "fullPeriods", label: "Full periods" },
+  { value: "minutesPerHalf", label: "Minutes per half" },
+  { value: "minutesPerGame", label: "Minutes per game" },
+];
+
+// Flag a minutes rule once there is less than this much slack left
+const AT_RISK_SLACK_MS = 2 * 60 * 1000;
+// Clock ticks can leave a "full" period a fraction of a second short
+const FULL_PERIOD_TOLERANCE_MS = 1000;
+
+export const describeRule = (rule, format) => {
+  if (rule.type === "fullPeriods") {
+    const name = format.periodName.toLowerCase();
+    return `At least ${rule.count} full ${name}${rule.count === 1 ? "" : "s"}`;
+  }
+  if (rule.type === "minutesPerHalf") return `${rule.minutes} min each half`;
+  return `${rule.minutes} min per game`;
+};
+
+// Regulation periods split into halves; an odd middle period goes first half
+const halvesOf = (periods) => {
+  const mid = Math.ceil(periods / 2);
+  return [
+    [...Array(mid).keys()],
+    [...Array(periods - mid).keys()].map((i) => i + mid),
+  ].filter((h) => h.length);
+};
+
+// ctx: { periods, periodLengthMs, periodElapsedMs, currentPeriod, finished }
+// Periods before the current one are over; later ones haven't started.
+const remainingIn = (i, ctx) =>
+  ctx.finished || i < ctx.currentPeriod
+    ? 0
+    : Math.max(0, ctx.periodLengthMs - (ctx.periodElapsedMs[i] || 0));
+
+const minutesStatus = (playedMs, remainingMs, neededMs, finished) => {
+  if (playedMs >= neededMs) return "met";
+  const slack = playedMs + remainingMs - neededMs;
+  if (finished || slack < 0) return "missed";
+  return slack < AT_RISK_SLACK_MS ? "at_risk" : "ok";
+};
+
+const WORST = ["met", "ok", "at_risk", "missed"];
+const worstOf = (statuses) =>
+  statuses.reduce((a, b) => (WORST.indexOf(b) > WORST.indexOf(a) ? b : a), "met");
+
+export function checkRule(rule, periodMs, ctx) {
+  const regulation = [...Array(ctx.periods).keys()];
+  const played = (i) => periodMs[i] || 0;
+
+  if (rule.type === "fullPeriods") {
+    const full = (i) =>
+      played(i) >= ctx.periodLengthMs - FULL_PERIOD_TOLERANCE_MS;
+    const done = regulation.filter(full).length;
+    // Still possible: untouched future periods, and the current one if the
+    // player has been on for all of it so far
+    const possible = regulation.filter(
+      (i) =>
+        !full(i) &&
+        remainingIn(i, ctx) > 0 &&
+        played(i) >= (ctx.periodElapsedMs[i] || 0) - FULL_PERIOD_TOLERANCE_MS
+    ).length;
+    const needed = rule.count - done;
+    const status =
+      needed <= 0
+        ? "met"
+        : ctx.finished || possible < needed
+        ? "missed"
+        : possible === needed
+        ? "at_risk"
+        : "ok";
+    return { status, detail: `${done}/${rule.count} full` };
+  }
+
+  const neededMs = rule.minutes * 60 * 1000;
+  const groups =
+    rule.type === "minutesPerHalf" ? halvesOf(ctx.periods) : [regulation];
+  const parts = groups.map((g) => {
+    const playedMs = g.reduce((sum, i) => sum + played(i), 0);
+    const remainingMs = g.reduce((sum, i) => sum + remainingIn(i, ctx), 0);
+    return {
+      playedMs,
+      status: minutesStatus(playedMs, remainingMs, neededMs, ctx.finished),
+    };
+  });
+  return {
+    status: worstOf(parts.map((p) => p.status)),
+    detail: parts
+      .map((p) => `${(p.playedMs / 60000).toFixed(1)}/${rule.minutes}m`)
+      .join(" · "),
+  };
+}
+
+// Results for every rule, or "exempt" for a player who was never available
+export const checkPlayer = (rules, periodMs, ctx, exempt = false) =>
+  rules.map((rule) =>
+    exempt ? { status: "exempt", detail: "" } : checkRule(rule, periodMs, ctx)
+  );
+
+export const overallStatus = (results) =>
+  results.every((r) => r.status === "exempt")
+    ? "exempt"
+    : worstOf(results.filter((r) => r.status !== "exempt").map((r) => r.status));
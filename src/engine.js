@@ -0,0 +1,719 @@
+import { SUB_TYPES, batchKey, buildStints, effectiveEvents, undoOf } from "./events.js";
+import {
+  availableWindows,
+  buildShareCurve,
+  reopenLastWindow,
+  setAvailable,
+} from "./fairness.js";
+import { labelFor } from "./formats.js";
+import { pickLineup } from "./positions.js";
+
+// ---------- Game engine ----------
+// The live game as a pure reducer: gameReducer(state, action) → state. It
+// never reads the wall clock; actions that move the clock carry `now` (ms),
+// so the same actions always play out the same game.
+//   state: { gameId, deviceId, config, players, overtimes, currentPeriod,
+//            periodElapsedMs, running, clockAnchor, timeoutsUsed,
+//            oppTimeoutsUsed, teamFouls, oppPoints, events, notice, swaps }
+//   gameId: set by whoever starts a game, so synced devices can tell the same
+//     game from a new one (null for games saved before it existed)
+//   deviceId: this device, stamped on every event it logs (see events.js);
+//     it stays through reset and restore
+//   config: { format, periodLengthMs, onCourt, otCountsTowardGoal,
+//             maxStintMs, minRestMs }   (format: see formats.js)
+//   overtimes: overtime periods added so far, played after regulation
+//   teamFouls: { us: [n per period], opp: [n per period] }; oppPoints: the
+//     opponent's points per period (our points are on the players)
+//   clockAnchor: { period, startedAt, baseMs } while running: the period
+//     clock is baseMs plus the time since startedAt
+//   notice: { message } when the last action was refused or needs telling
+//   swaps: { swappedIn: [id], swappedOut: [id] } from the last lineup change
+// Actions are built with `act` below; they are plain data, so they can be
+// logged, replayed or sent elsewhere.
+
+// Absent and fouled-out players sit for the rest of the game
+export const isUnavailable = (p) => p.absent || p.fouledOutAt != null;
+// Copy `arr` into a zero-filled array of length n (truncating or padding)
+export const fitLength = (arr, n) =>
+  Array.from({ length: n }, (_, i) => (Array.isArray(arr) ? arr[i] ?? 0 : 0));
+
+export const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+const sum = (arr) => arr.reduce((a, b) => a + (b || 0), 0);
+const replaceAt = (arr, i, value) => arr.map((x, k) => (k === i ? value : x));
+// Availability of someone who is here for the whole game
+const WHOLE_GAME = [{ from: 0, to: Infinity }];
+const NO_SWAPS = { swappedIn: [], swappedOut: [] };
+
+export const numPeriodsOf = (state) => state.config.format.periods + state.overtimes;
+export const periodLengthFor = (config, idx) =>
+  idx < config.format.periods
+    ? config.periodLengthMs
+    : config.format.otMinutes * 60 * 1000;
+
+export const act = {
+  configure: (config) => ({ type: "configure", config }),
+  tick: (now) => ({ type: "tick", now }),
+  start: (now) => ({ type: "start", now }),
+  stop: () => ({ type: "stop" }),
+  selectPeriod: (period, now) => ({ type: "selectPeriod", period, now }),
+  nextPeriod: () => ({ type: "nextPeriod" }),
+  addOvertime: () => ({ type: "addOvertime" }),
+  toggleActive: (index) => ({ type: "toggleActive", index }),
+  togglePinned: (index) => ({ type: "togglePinned", index }),
+  toggleAbsent: (index) => ({ type: "toggleAbsent", index }),
+  addFoul: (index, delta, limit) => ({ type: "addFoul", index, delta, limit }),
+  setFoulLimit: (limit) => ({ type: "setFoulLimit", limit }),
+  // seasonDeltaMs: { [id]: played minus fair share over past games }, counted
+  // as time already played (negative = owed)
+  autoFill: (seasonDeltaMs = {}) => ({ type: "autoFill", seasonDeltaMs }),
+  applyLineup: (ids) => ({ type: "applyLineup", ids }),
+  undoSub: () => ({ type: "undoSub" }),
+  log: (entries) => ({ type: "log", entries }),
+  // Scoring in the current period; negative points take a basket back
+  score: (index, points) => ({ type: "score", index, points }),
+  scoreOpponent: (points) => ({ type: "scoreOpponent", points }),
+  // side: "us" | "opp"
+  teamFoul: (side, delta) => ({ type: "teamFoul", side, delta }),
+  timeout: (side) => ({ type: "timeout", side }),
+  undoTimeout: (side) => ({ type: "undoTimeout", side }),
+  // Roster edits. Players are added already made (see the app's makePlayer);
+  // the last one can't be removed.
+  updateProfile: (id, fields) => ({ type: "updateProfile", id, fields }),
+  togglePosition: (index, position) => ({ type: "togglePosition", index, position }),
+  addPlayers: (players) => ({ type: "addPlayers", players }),
+  removePlayers: (ids) => ({ type: "removePlayers", ids }),
+  reorder: (ids) => ({ type: "reorder", ids }),
+  // A new game: the given players (already fresh) or the current ones reset
+  reset: ({ gameId, players }) => ({ type: "reset", gameId, players }),
+  // A saved game: { gameId, players, overtimes, periodElapsedMs, currentPeriod,
+  // running, clockAnchor, timeoutsUsed, oppTimeoutsUsed, teamFouls, oppPoints,
+  // events }; missing parts keep what's here, except as noted in restore()
+  restore: (game) => ({ type: "restore", game }),
+};
+
+// Period arrays sized to the config's periods, untouched when they already fit
+function fitPeriods(state) {
+  const n = numPeriodsOf(state);
+  const fits = (p) => p.periodMs.length === n && p.points.length === n;
+  const { teamFouls } = state;
+  if (
+    state.periodElapsedMs.length === n &&
+    state.oppPoints.length === n &&
+    teamFouls.us.length === n &&
+    teamFouls.opp.length === n &&
+    state.players.every(fits) &&
+    state.currentPeriod < n
+  ) {
+    return state;
+  }
+  return {
+    ...state,
+    periodElapsedMs: fitLength(state.periodElapsedMs, n),
+    oppPoints: fitLength(state.oppPoints, n),
+    teamFouls: { us: fitLength(teamFouls.us, n), opp: fitLength(teamFouls.opp, n) },
+    players: state.players.map((p) =>
+      fits(p)
+        ? p
+        : { ...p, periodMs: fitLength(p.periodMs, n), points: fitLength(p.points, n) }
+    ),
+    currentPeriod: clamp(state.currentPeriod, 0, n - 1),
+  };
+}
+
+export const createGame = ({ gameId = null, deviceId = null, config, players }) =>
+  fitPeriods({
+    gameId,
+    deviceId,
+    config,
+    players,
+    overtimes: 0,
+    currentPeriod: 0,
+    periodElapsedMs: [],
+    running: false,
+    clockAnchor: null,
+    timeoutsUsed: 0,
+    oppTimeoutsUsed: 0,
+    teamFouls: { us: [], opp: [] },
+    oppPoints: [],
+    events: [],
+    notice: null,
+    swaps: null,
+  });
+
+// Fair clock: everything, or regulation only when overtime is excluded from
+// the baseline
+const fairElapsedOf = ({ config, periodElapsedMs }) =>
+  sum(
+    periodElapsedMs.slice(0, config.otCountsTowardGoal ? undefined : config.format.periods)
+  );
+
+// Fairness figures and stint rules, all derived from the state
+export function gameMetrics(state) {
+  const { config, players, overtimes, periodElapsedMs, events } = state;
+  const regulation = config.format.periods;
+  const gameElapsedMs = sum(periodElapsedMs);
+  const fairElapsedMs = fairElapsedOf(state);
+  const eligiblePlayerCount = players.filter((p) => !isUnavailable(p)).length;
+  const fairMsFor = (p) =>
+    config.otCountsTowardGoal ? p.totalMs : sum(p.periodMs.slice(0, regulation));
+  // Fair shares prorated by when each player was available (see fairness.js)
+  const shareFor = buildShareCurve(players, config.onCourt);
+  const fullGameMs =
+    regulation * config.periodLengthMs +
+    (config.otCountsTowardGoal
+      ? overtimes * periodLengthFor(config, regulation)
+      : 0);
+  // Per-player: ideal so far covers the time they were available; the goal
+  // assumes whoever is here now stays to the end
+  const idealFor = (p) => shareFor(availableWindows(p), fairElapsedMs);
+  const goalFor = (p) => shareFor(availableWindows(p), fullGameMs);
+  const availableMsFor = (p) =>
+    availableWindows(p).reduce(
+      (total, w) => total + Math.max(0, Math.min(w.to, fairElapsedMs) - w.from),
+      0
+    );
+
+  // Stint rules run on the game clock, so breaks between periods neither
+  // count as time on nor as rest
+  const stintsByPlayer = buildStints(events, players);
+  const currentStintMs = (p) => {
+    const last = stintsByPlayer[p.id]?.at(-1);
+    return p.active && last && last.end === null ? gameElapsedMs - last.start : 0;
+  };
+  // Rest still owed before a benched player may go back on
+  const restLeftMs = (p) => {
+    const last = stintsByPlayer[p.id]?.at(-1);
+    if (p.active || !config.minRestMs || !last || last.end === null) return 0;
+    return Math.max(0, config.minRestMs - (gameElapsedMs - last.end));
+  };
+  const overStint = (p) =>
+    config.maxStintMs > 0 && p.active && currentStintMs(p) >= config.maxStintMs;
+
+  return {
+    gameElapsedMs,
+    fairElapsedMs,
+    eligiblePlayerCount,
+    fullGameMs,
+    // Headline figures are for a player who is here the whole game
+    idealMsSoFar: shareFor(WHOLE_GAME, fairElapsedMs),
+    goalPerPlayerFullGameMs: eligiblePlayerCount ? shareFor(WHOLE_GAME, fullGameMs) : 0,
+    shareFor,
+    fairMsFor,
+    idealFor,
+    goalFor,
+    availableMsFor,
+    stintsByPlayer,
+    currentStintMs,
+    restLeftMs,
+    overStint,
+  };
+}
+
+// A message for the user to go with the state (usually a refusal)
+const notify = (state, message) => ({ ...state, notice: { message } });
+
+// Append entries to the event log as one batch, stamped with the current clock.
+// Ids run on from the highest seen, so they never repeat on this device even
+// after other devices' entries are merged in.
+function logEvents(state, entries) {
+  if (!entries.length) return state;
+  const lastId = state.events.reduce((max, e) => Math.max(max, e.id || 0), 0);
+  const at = sum(state.periodElapsedMs);
+  const periodAt = state.periodElapsedMs[state.currentPeriod] || 0;
+  return {
+    ...state,
+    events: [
+      ...state.events,
+      ...entries.map((e, k) => ({
+        id: lastId + 1 + k,
+        batch: lastId + 1,
+        period: state.currentPeriod,
+        at,
+        periodAt,
+        ...(state.deviceId ? { dev: state.deviceId } : {}),
+        ...e,
+      })),
+    ],
+  };
+}
+
+const anchorAt = (state, now) => ({
+  period: state.currentPeriod,
+  startedAt: now,
+  baseMs: state.periodElapsedMs[state.currentPeriod] || 0,
+});
+
+const startClock = (state, now) =>
+  state.running
+    ? state
+    : logEvents({ ...state, running: true, clockAnchor: anchorAt(state, now) }, [
+        { type: "period_start" },
+      ]);
+
+const stopClock = (state) =>
+  state.running
+    ? logEvents({ ...state, running: false, clockAnchor: null }, [
+        { type: "period_stop" },
+      ])
+    : state;
+
+// Move the period clock to where the anchor says it should be at `now` and
+// credit the gap to whoever is on court, however long the gap was. The clock
+// stops itself at the end of the period.
+function tick(state, now) {
+  if (!state.running) return state;
+  const period = state.currentPeriod;
+  // Keep the anchor for this period, otherwise anchor at `now`
+  const anchor =
+    state.clockAnchor?.period === period ? state.clockAnchor : anchorAt(state, now);
+  const lengthMs = periodLengthFor(state.config, period);
+  const target = Math.min(lengthMs, anchor.baseMs + Math.max(0, now - anchor.startedAt));
+  const apply = target - (state.periodElapsedMs[period] || 0);
+  let next = anchor === state.clockAnchor ? state : { ...state, clockAnchor: anchor };
+  if (apply > 0) {
+    next = {
+      ...next,
+      periodElapsedMs: replaceAt(next.periodElapsedMs, period, target),
+      players: next.players.map((p) =>
+        p.active
+          ? {
+              ...p,
+              totalMs: p.totalMs + apply,
+              periodMs: replaceAt(p.periodMs, period, (p.periodMs[period] || 0) + apply),
+            }
+          : p
+      ),
+    };
+  }
+  return target >= lengthMs ? stopClock(next) : next;
+}
+
+function toggleActive(state, index) {
+  const player = state.players[index];
+  if (!player) return state;
+  const { onCourt } = state.config;
+  if (!player.active && player.fouledOutAt != null) {
+    return notify(state, `${player.name} has fouled out.`);
+  }
+  if (!player.active && state.players.filter((p) => p.active).length >= onCourt) {
+    return notify(state, `Only ${onCourt} players can be on court. Remove someone first!`);
+  }
+  return logEvents(
+    { ...state, players: replaceAt(state.players, index, { ...player, active: !player.active }) },
+    [{ type: player.active ? "sub_out" : "sub_in", playerId: player.id }]
+  );
+}
+
+// Only players on court can be pinned
+function togglePinned(state, index) {
+  const player = state.players[index];
+  if (!player?.active) return state;
+  return {
+    ...state,
+    players: replaceAt(state.players, index, { ...player, pinned: !player.pinned }),
+  };
+}
+
+function toggleAbsent(state, index) {
+  const player = state.players[index];
+  if (!player) return state;
+  // Leaving/arriving mid-game closes/opens an availability window so fair
+  // shares only cover the time they were here
+  const availability = setAvailable(
+    player.availability,
+    player.absent,
+    fairElapsedOf(state)
+  );
+  const next = {
+    ...state,
+    players: replaceAt(
+      state.players,
+      index,
+      player.absent
+        ? { ...player, absent: false, availability }
+        : { ...player, absent: true, active: false, pinned: false, availability }
+    ),
+  };
+  return !player.absent && player.active
+    ? logEvents(next, [{ type: "sub_out", playerId: player.id, reason: "absent" }])
+    : next;
+}
+
+// Add (or with -1 take back) a personal foul, which is also a team foul in
+// this period. Reaching the limit benches the player for the rest of the
+// game; their minutes stay as they are.
+function addFoul(state, index, delta, limit) {
+  const player = state.players[index];
+  if (!player) return state;
+  const fouls = Math.max(0, player.fouls + delta);
+  if (fouls === player.fouls) return state;
+  const fouledOut = fouls >= limit;
+  let next = {
+    ...teamFoul(state, "us", fouls - player.fouls),
+    players: replaceAt(state.players, index, {
+      ...player,
+      fouls,
+      fouledOutAt: fouledOut ? player.fouledOutAt ?? fairElapsedOf(state) : null,
+      ...(fouledOut ? { active: false, pinned: false } : {}),
+    }),
+  };
+  if (fouledOut && player.fouledOutAt == null) {
+    next = notify(next, `${player.name} fouled out (${fouls} fouls).`);
+    if (player.active) {
+      next = logEvents(next, [
+        { type: "sub_out", playerId: player.id, reason: "fouled_out" },
+      ]);
+    }
+  }
+  return next;
+}
+
+function setFoulLimit(state, limit) {
+  const fairElapsedMs = fairElapsedOf(state);
+  return {
+    ...state,
+    players: state.players.map((p) =>
+      p.fouls >= limit
+        ? { ...p, fouledOutAt: p.fouledOutAt ?? fairElapsedMs, active: false, pinned: false }
+        : { ...p, fouledOutAt: null }
+    ),
+  };
+}
+
+// Add to a per-period count in the current period, never below zero; null
+// when that would go negative
+const addInPeriod = (arr, period, delta) => {
+  const value = (arr[period] || 0) + delta;
+  return value < 0 ? null : replaceAt(arr, period, value);
+};
+
+function score(state, index, points) {
+  const player = state.players[index];
+  const arr = player && addInPeriod(player.points, state.currentPeriod, points);
+  if (!arr) return state;
+  return logEvents(
+    { ...state, players: replaceAt(state.players, index, { ...player, points: arr }) },
+    [{ type: "score", playerId: player.id, points }]
+  );
+}
+
+function scoreOpponent(state, points) {
+  const oppPoints = addInPeriod(state.oppPoints, state.currentPeriod, points);
+  if (!oppPoints) return state;
+  return logEvents({ ...state, oppPoints }, [{ type: "score", side: "opp", points }]);
+}
+
+function teamFoul(state, side, delta) {
+  const arr = addInPeriod(state.teamFouls[side], state.currentPeriod, delta);
+  return { ...state, teamFouls: { ...state.teamFouls, [side]: arr ?? state.teamFouls[side] } };
+}
+
+const timeoutsKey = (side) => (side === "opp" ? "oppTimeoutsUsed" : "timeoutsUsed");
+
+// Take back the side's last timeout, cancelling its log entry too
+function undoTimeout(state, side) {
+  const key = timeoutsKey(side);
+  const last = effectiveEvents(state.events)
+    .reverse()
+    .find((e) => e.type === "timeout" && (e.side ?? "us") === side);
+  const next = { ...state, [key]: Math.max(0, state[key] - 1) };
+  return last ? logEvents(next, [undoOf(last)]) : next;
+}
+
+// Tag or untag a position the player can play
+function togglePosition(state, index, position) {
+  const player = state.players[index];
+  if (!player) return state;
+  const positions = player.positions.includes(position)
+    ? player.positions.filter((x) => x !== position)
+    : [...player.positions, position];
+  return { ...state, players: replaceAt(state.players, index, { ...player, positions }) };
+}
+
+// Put exactly the players at `toActivate` (indices) on court, flag the swaps
+// and log them as one substitution batch
+function applyLineup(state, toActivate) {
+  const swappedIn = [];
+  const swappedOut = [];
+  state.players.forEach((p, i) => {
+    if (p.absent || p.pinned) return;
+    const willBeActive = toActivate.has(i);
+    if (!p.active && willBeActive) swappedIn.push(p.id);
+    if (p.active && !willBeActive) swappedOut.push(p.id);
+  });
+  const subs = state.players
+    .filter((p, i) => p.active !== toActivate.has(i))
+    .map((p) => ({ type: p.active ? "sub_out" : "sub_in", playerId: p.id }));
+  return logEvents(
+    {
+      ...state,
+      swaps: { swappedIn, swappedOut },
+      players: state.players.map((p, i) =>
+        p.active === toActivate.has(i) ? p : { ...p, active: toActivate.has(i) }
+      ),
+    },
+    subs
+  );
+}
+
+// Fill the court with the players furthest below their prorated ideal so far.
+// Pinned players stay on unless past the stint limit; ties keep roster order.
+function autoFill(state, seasonDeltaMs) {
+  const { players, config } = state;
+  const { fairMsFor, idealFor, overStint, restLeftMs } = gameMetrics(state);
+  const pinnedIndices = new Set(
+    players
+      .map((p, i) => (p.active && p.pinned && !overStint(p) ? i : null))
+      .filter((i) => i !== null)
+  );
+  const pinnedCount = pinnedIndices.size;
+  const slotsToFill = config.onCourt - pinnedCount;
+
+  // Most owed first: time played above the ideal, plus any season carry
+  const eligible = players
+    .map((p, i) => ({
+      i,
+      id: p.id,
+      priorityMs: fairMsFor(p) - idealFor(p) + (seasonDeltaMs[p.id] ?? 0),
+      positions: p.positions,
+      // Past the stint limit must come off; still resting can't go on
+      blocked: overStint(p) || restLeftMs(p) > 0,
+    }))
+    .filter(({ i }) => !isUnavailable(players[i]) && !pinnedIndices.has(i))
+    .sort((a, b) => a.priorityMs - b.priorityMs);
+  const blockedCount = eligible.filter((p) => p.blocked).length;
+  const allowed = eligible.filter((p) => !p.blocked);
+  if (blockedCount && allowed.length < slotsToFill) {
+    return notify(
+      state,
+      `Only ${allowed.length + pinnedCount} of ${config.onCourt} can go on: ${blockedCount} resting or over the stint limit.`
+    );
+  }
+
+  // Within the format's lineup template
+  const { picked, error } = pickLineup({
+    pinned: [...pinnedIndices].map((i) => players[i]),
+    candidates: allowed,
+    slots: slotsToFill,
+    rules: config.format.lineup ?? [],
+  });
+  if (error) return notify(state, error);
+  return applyLineup(state, new Set([...pinnedIndices, ...picked]));
+}
+
+// Revert the most recent substitution batch (a single toggle or a whole
+// auto-fill) and hand back the minutes credited since it happened
+function undoSub(state) {
+  const { players, periodElapsedMs, currentPeriod } = state;
+  const effective = effectiveEvents(state.events);
+  const last = [...effective].reverse().find((e) => SUB_TYPES.includes(e.type));
+  if (!last) return notify(state, "No substitutions to undo.");
+  const batch = effective.filter(
+    (e) => batchKey(e) === batchKey(last) && SUB_TYPES.includes(e.type)
+  );
+  if (batch.some((e) => e.period !== currentPeriod)) {
+    return notify(
+      state,
+      `Can only undo subs made in ${labelFor(state.config.format, currentPeriod)}.`
+    );
+  }
+  const fouledOut = batch
+    .filter((e) => e.type === "sub_out")
+    .map((e) => players.find((p) => p.id === e.playerId))
+    .find((p) => p?.fouledOutAt != null);
+  if (fouledOut) return notify(state, `${fouledOut.name} has fouled out.`);
+
+  const byId = new Map(batch.map((e) => [e.playerId, e]));
+  const next = {
+    ...state,
+    swaps: NO_SWAPS,
+    players: players.map((p) => {
+      const e = byId.get(p.id);
+      if (!e) return p;
+      const since = Math.max(0, (periodElapsedMs[e.period] || 0) - e.periodAt);
+      // Mistaken sub_in: take back the time they were credited; mistaken
+      // sub_out: they were really on court, so credit the time they missed
+      const sign = e.type === "sub_in" ? -1 : 1;
+      return {
+        ...p,
+        active: e.type === "sub_out",
+        pinned: e.type === "sub_out" ? p.pinned : false,
+        absent: e.reason === "absent" ? false : p.absent,
+        availability:
+          e.reason === "absent" ? reopenLastWindow(p.availability) : p.availability,
+        totalMs: Math.max(0, p.totalMs + sign * since),
+        periodMs: replaceAt(p.periodMs, e.period, Math.max(0, p.periodMs[e.period] + sign * since)),
+      };
+    }),
+  };
+  return logEvents(next, [undoOf(last)]);
+}
+
+function reset(state, gameId, players) {
+  const { config } = state;
+  const n = config.format.periods;
+  return {
+    ...state,
+    gameId,
+    overtimes: 0,
+    running: false,
+    clockAnchor: null,
+    timeoutsUsed: 0,
+    oppTimeoutsUsed: 0,
+    teamFouls: { us: Array(n).fill(0), opp: Array(n).fill(0) },
+    oppPoints: Array(n).fill(0),
+    events: [],
+    currentPeriod: 0,
+    periodElapsedMs: Array(n).fill(0),
+    swaps: NO_SWAPS,
+    players:
+      players ??
+      state.players.map((p, i) => ({
+        ...p,
+        active: !p.absent && i < config.onCourt,
+        pinned: false,
+        totalMs: 0,
+        periodMs: Array(n).fill(0),
+        points: Array(n).fill(0),
+        fouls: 0,
+        fouledOutAt: null,
+        availability: p.absent ? [] : [{ from: 0, to: null }],
+      })),
+  };
+}
+
+// A clock that was running when the game was saved resumes from its anchor,
+// without logging the start again. Saves from before a figure was kept start
+// it from zero (overtimes, timeouts) or keep what's here (fouls, points).
+function restore(state, game) {
+  const running = !!(game.running && game.clockAnchor);
+  const periodElapsedMs = Array.isArray(game.periodElapsedMs)
+    ? game.periodElapsedMs
+    : state.periodElapsedMs;
+  // Team figures come in sized to the saved game's periods
+  const fit = (arr) => fitLength(arr, periodElapsedMs.length);
+  const teamFouls = game.teamFouls ?? state.teamFouls;
+  return {
+    ...state,
+    gameId: game.gameId ?? null,
+    overtimes: game.overtimes ?? 0,
+    timeoutsUsed: game.timeoutsUsed ?? 0,
+    oppTimeoutsUsed: game.oppTimeoutsUsed ?? 0,
+    teamFouls: { us: fit(teamFouls.us), opp: fit(teamFouls.opp) },
+    oppPoints: fit(Array.isArray(game.oppPoints) ? game.oppPoints : state.oppPoints),
+    players: game.players?.length ? game.players : state.players,
+    periodElapsedMs,
+    currentPeriod:
+      typeof game.currentPeriod === "number" ? game.currentPeriod : state.currentPeriod,
+    running,
+    clockAnchor: running ? game.clockAnchor : null,
+    events: Array.isArray(game.events) ? game.events : [],
+  };
+}
+
+export function gameReducer(state, action) {
+  switch (action.type) {
+    case "configure":
+      return action.config === state.config
+        ? state
+        : fitPeriods({ ...state, config: action.config });
+    case "tick":
+      return tick(state, action.now);
+    case "start":
+      return startClock(state, action.now);
+    case "stop":
+      return stopClock(state);
+    case "selectPeriod": {
+      // Credit the period being left up to now before the clock moves on
+      const ticked = tick(state, action.now);
+      const period = clamp(action.period, 0, numPeriodsOf(ticked) - 1);
+      const next = { ...ticked, currentPeriod: period };
+      return next.running ? { ...next, clockAnchor: anchorAt(next, action.now) } : next;
+    }
+    case "nextPeriod": {
+      const next = stopClock(state);
+      return {
+        ...next,
+        currentPeriod: Math.min(next.currentPeriod + 1, numPeriodsOf(next) - 1),
+      };
+    }
+    // Append an overtime period and move the clock to it (stopped)
+    case "addOvertime": {
+      const next = logEvents(stopClock(state), [{ type: "overtime" }]);
+      const overtimes = next.overtimes + 1;
+      return fitPeriods({
+        ...next,
+        overtimes,
+        currentPeriod: next.config.format.periods + overtimes - 1,
+      });
+    }
+    case "toggleActive":
+      return toggleActive(state, action.index);
+    case "togglePinned":
+      return togglePinned(state, action.index);
+    case "toggleAbsent":
+      return toggleAbsent(state, action.index);
+    case "addFoul":
+      return addFoul(state, action.index, action.delta, action.limit);
+    case "setFoulLimit":
+      return setFoulLimit(state, action.limit);
+    case "autoFill":
+      return autoFill(state, action.seasonDeltaMs);
+    case "applyLineup": {
+      const ids = new Set(action.ids);
+      return applyLineup(
+        state,
+        new Set(
+          state.players
+            .map((p, i) => (ids.has(p.id) && !isUnavailable(p) ? i : null))
+            .filter((i) => i !== null)
+        )
+      );
+    }
+    case "undoSub":
+      return undoSub(state);
+    case "log":
+      return logEvents(state, action.entries);
+    case "score":
+      return score(state, action.index, action.points);
+    case "scoreOpponent":
+      return scoreOpponent(state, action.points);
+    case "teamFoul":
+      return teamFoul(state, action.side, action.delta);
+    case "timeout":
+      return logEvents(
+        { ...state, [timeoutsKey(action.side)]: state[timeoutsKey(action.side)] + 1 },
+        [{ type: "timeout", side: action.side }]
+      );
+    case "undoTimeout":
+      return undoTimeout(state, action.side);
+    case "updateProfile":
+      return {
+        ...state,
+        players: state.players.map((p) =>
+          p.id === action.id ? { ...p, ...action.fields } : p
+        ),
+      };
+    case "togglePosition":
+      return togglePosition(state, action.index, action.position);
+    case "addPlayers":
+      return fitPeriods({ ...state, players: [...state.players, ...action.players] });
+    case "removePlayers": {
+      const ids = new Set(action.ids);
+      const players = state.players.filter((p) => !ids.has(p.id));
+      return players.length ? { ...state, players } : state;
+    }
+    case "reorder": {
+      const byId = new Map(state.players.map((p) => [p.id, p]));
+      const players = action.ids.map((id) => byId.get(id)).filter(Boolean);
+      // Only a full reordering of the roster as it is
+      return new Set(players).size === state.players.length ? { ...state, players } : state;
+    }
+    case "reset":
+      return reset(state, action.gameId, action.players);
+    case "restore":
+      return restore(state, action.game);
+    default:
+      throw new Error(`Unknown game action: ${action.type}`);
+  }
+}
@@ -0,0 +1,472 @@
+import { describe, expect, it } from "vitest";
+import { act, createGame, gameMetrics, gameReducer } from "./engine.js";
+import { effectiveEvents } from "./events.js";
+import { FORMAT_PRESETS } from "./formats.js";
+
+const MIN = 60 * 1000;
+const QUARTERS = FORMAT_PRESETS.find((f) => f.id === "Quarters");
+
+const config = (overrides = {}) => ({
+  format: QUARTERS,
+  periodLengthMs: 8 * MIN,
+  onCourt: 2,
+  otCountsTowardGoal: true,
+  maxStintMs: 0,
+  minRestMs: 0,
+  ...overrides,
+});
+
+const player = (id, fields = {}) => ({
+  id,
+  name: `P${id}`,
+  positions: [],
+  active: false,
+  pinned: false,
+  absent: false,
+  totalMs: 0,
+  periodMs: [],
+  points: [],
+  fouls: 0,
+  fouledOutAt: null,
+  availability: fields.absent ? [] : [{ from: 0, to: null }],
+  ...fields,
+});
+
+// Four players, the first two on court
+const newGame = (overrides) =>
+  createGame({
+    config: config(overrides),
+    players: [1, 2, 3, 4].map((id) => player(id, { active: id <= 2 })),
+  });
+
+const play = (state, ...actions) => actions.reduce(gameReducer, state);
+const activeIds = (state) => state.players.filter((p) => p.active).map((p) => p.id);
+const types = (state) => state.events.map((e) => e.type);
+
+describe("clock", () => {
+  it("credits on-court players from the anchor, not per tick", () => {
+    const state = play(newGame(), act.start(1000), act.tick(1000 + 90 * 1000));
+    expect(state.periodElapsedMs[0]).toBe(90 * 1000);
+    expect(state.players.map((p) => p.totalMs)).toEqual([90000, 90000, 0, 0]);
+    expect(state.players[0].periodMs).toEqual([90000, 0, 0, 0]);
+  });
+
+  it("gives the same result however the ticks fall", () => {
+    const start = play(newGame(), act.start(0));
+    const once = play(start, act.tick(5 * MIN));
+    const often = play(
+      start,
+      ...Array.from({ length: 20 }, (_, k) => act.tick((k + 1) * 15 * 1000))
+    );
+    expect(often.periodElapsedMs).toEqual(once.periodElapsedMs);
+    expect(often.players).toEqual(once.players);
+  });
+
+  it("clamps at periodLengthMs and stops itself", () => {
+    const state = play(newGame(), act.start(0), act.tick(20 * MIN));
+    expect(state.periodElapsedMs[0]).toBe(8 * MIN);
+    expect(state.players[0].totalMs).toBe(8 * MIN);
+    expect(state.running).toBe(false);
+    expect(state.clockAnchor).toBe(null);
+    expect(types(state)).toEqual(["period_start", "period_stop"]);
+    // Further ticks change nothing
+    expect(play(state, act.tick(30 * MIN))).toBe(state);
+  });
+
+  it("won't run past the end of a finished period", () => {
+    const done = play(newGame(), act.start(0), act.tick(8 * MIN));
+    const again = play(done, act.start(9 * MIN), act.tick(10 * MIN));
+    expect(again.periodElapsedMs[0]).toBe(8 * MIN);
+    expect(again.running).toBe(false);
+  });
+
+  it("uses the overtime length in overtime periods", () => {
+    let state = play(newGame(), act.addOvertime());
+    expect(state.currentPeriod).toBe(4);
+    expect(state.periodElapsedMs).toHaveLength(5);
+    state = play(state, act.start(0), act.tick(10 * MIN));
+    expect(state.periodElapsedMs[4]).toBe(QUARTERS.otMinutes * MIN);
+  });
+
+  it("resumes a restored running clock from its anchor without logging a start", () => {
+    const saved = play(newGame(), act.start(0), act.tick(MIN));
+    const restored = play(
+      newGame(),
+      act.restore({
+        players: saved.players,
+        periodElapsedMs: saved.periodElapsedMs,
+        currentPeriod: saved.currentPeriod,
+        running: saved.running,
+        clockAnchor: saved.clockAnchor,
+        events: saved.events,
+      }),
+      act.tick(3 * MIN)
+    );
+    expect(restored.periodElapsedMs[0]).toBe(3 * MIN);
+    expect(restored.players[0].totalMs).toBe(3 * MIN);
+    expect(types(restored)).toEqual(["period_start"]);
+  });
+});
+
+describe("period rollover", () => {
+  it("stops the clock and moves to the next period", () => {
+    const state = play(newGame(), act.start(0), act.tick(MIN), act.nextPeriod());
+    expect(state.currentPeriod).toBe(1);
+    expect(state.running).toBe(false);
+    expect(state.events.at(-1)).toMatchObject({ type: "period_stop", period: 0 });
+  });
+
+  it("credits the new period from its own start", () => {
+    const state = play(
+      newGame(),
+      act.start(0),
+      act.tick(8 * MIN),
+      act.nextPeriod(),
+      act.start(100 * MIN),
+      act.tick(102 * MIN)
+    );
+    expect(state.periodElapsedMs).toEqual([8 * MIN, 2 * MIN, 0, 0]);
+    expect(state.players[0].periodMs).toEqual([8 * MIN, 2 * MIN, 0, 0]);
+    expect(state.players[0].totalMs).toBe(10 * MIN);
+    expect(gameMetrics(state).gameElapsedMs).toBe(10 * MIN);
+  });
+
+  it("stays on the last period", () => {
+    const state = play(newGame(), ...Array(6).fill(act.nextPeriod()));
+    expect(state.currentPeriod).toBe(3);
+  });
+
+  it("re-anchors when the period is switched while running", () => {
+    const state = play(
+      newGame(),
+      act.start(0),
+      act.tick(MIN),
+      act.selectPeriod(2, 5 * MIN),
+      act.tick(6 * MIN)
+    );
+    // The minutes up to the switch count for the period left
+    expect(state.periodElapsedMs).toEqual([5 * MIN, 0, MIN, 0]);
+    expect(state.players[0].periodMs).toEqual([5 * MIN, 0, MIN, 0]);
+  });
+
+  it("resizes the period arrays when the format changes", () => {
+    const state = play(
+      newGame(),
+      act.configure(config({ format: { ...QUARTERS, periods: 6 } }))
+    );
+    expect(state.periodElapsedMs).toHaveLength(6);
+    expect(state.players[0].periodMs).toHaveLength(6);
+    expect(state.players[0].points).toHaveLength(6);
+    expect(state.teamFouls.opp).toHaveLength(6);
+    expect(state.oppPoints).toHaveLength(6);
+  });
+});
+
+describe("substitutions", () => {
+  it("refuses more players than fit on court", () => {
+    const state = play(newGame(), act.toggleActive(2));
+    expect(activeIds(state)).toEqual([1, 2]);
+    expect(state.notice.message).toMatch(/Only 2 players/);
+  });
+
+  it("logs subs stamped with the clock", () => {
+    const state = play(
+      newGame(),
+      act.start(0),
+      act.tick(MIN),
+      act.toggleActive(0),
+      act.toggleActive(2)
+    );
+    expect(activeIds(state)).toEqual([2, 3]);
+    expect(state.events.slice(-2)).toMatchObject([
+      { type: "sub_out", playerId: 1, at: MIN, periodAt: MIN },
+      { type: "sub_in", playerId: 3, at: MIN, periodAt: MIN },
+    ]);
+  });
+
+  it("undo hands back the minutes since the sub", () => {
+    const state = play(
+      newGame(),
+      act.start(0),
+      act.tick(MIN),
+      act.toggleActive(0),
+      act.tick(3 * MIN),
+      act.undoSub()
+    );
+    expect(activeIds(state)).toEqual([1, 2]);
+    expect(state.players[0].totalMs).toBe(3 * MIN);
+  });
+});
+
+describe("auto-fill", () => {
+  it("puts the most owed players on", () => {
+    const state = play(newGame(), act.start(0), act.tick(4 * MIN), act.autoFill());
+    expect(activeIds(state)).toEqual([3, 4]);
+    expect(state.swaps).toEqual({ swappedIn: [3, 4], swappedOut: [1, 2] });
+    expect(types(state).slice(-4)).toEqual(["sub_out", "sub_out", "sub_in", "sub_in"]);
+  });
+
+  it("breaks ties in roster order", () => {
+    const state = play(newGame(), act.toggleActive(0), act.toggleActive(1), act.autoFill());
+    expect(activeIds(state)).toEqual([1, 2]);
+    const reordered = play(
+      newGame(),
+      act.reorder([4, 3, 2, 1]),
+      act.autoFill()
+    );
+    expect(activeIds(reordered)).toEqual([4, 3]);
+  });
+
+  it("counts a season deficit as time still owed", () => {
+    const state = play(
+      newGame(),
+      act.start(0),
+      act.tick(4 * MIN),
+      act.autoFill({ 1: -10 * MIN })
+    );
+    expect(activeIds(state).sort()).toEqual([1, 3]);
+  });
+
+  it("keeps pinned players on", () => {
+    const state = play(
+      newGame(),
+      act.start(0),
+      act.tick(4 * MIN),
+      act.togglePinned(0),
+      act.autoFill()
+    );
+    expect(activeIds(state)).toEqual([1, 3]);
+    expect(state.swaps).toEqual({ swappedIn: [3], swappedOut: [2] });
+  });
+
+  it("takes pinned players off once past the stint limit", () => {
+    const state = play(
+      newGame({ maxStintMs: 4 * MIN }),
+      act.togglePinned(0),
+      act.start(0),
+      act.tick(4 * MIN),
+      act.autoFill()
+    );
+    expect(activeIds(state)).toEqual([3, 4]);
+  });
+
+  it("leaves absent players off", () => {
+    const state = play(
+      newGame(),
+      act.start(0),
+      act.tick(4 * MIN),
+      act.toggleAbsent(2),
+      act.autoFill()
+    );
+    expect(activeIds(state)).toEqual([1, 4]);
+  });
+
+  it("says so when resting players leave the court short", () => {
+    const before = play(
+      newGame({ onCourt: 3, minRestMs: 2 * MIN }),
+      act.toggleActive(2),
+      act.start(0),
+      act.tick(MIN),
+      act.toggleActive(0),
+      act.toggleActive(1)
+    );
+    const state = play(before, act.autoFill());
+    expect(activeIds(state)).toEqual(activeIds(before));
+    expect(state.notice.message).toMatch(/resting or over the stint limit/);
+  });
+});
+
+describe("absent and pinned", () => {
+  it("only pins players on court", () => {
+    const state = play(newGame(), act.togglePinned(0), act.togglePinned(2));
+    expect(state.players.map((p) => p.pinned)).toEqual([true, false, false, false]);
+  });
+
+  it("marking absent takes a player off, unpins them and logs it", () => {
+    const state = play(newGame(), act.togglePinned(0), act.toggleAbsent(0));
+    expect(state.players[0]).toMatchObject({ absent: true, active: false, pinned: false });
+    expect(state.events.at(-1)).toMatchObject({
+      type: "sub_out",
+      playerId: 1,
+      reason: "absent",
+    });
+  });
+
+  it("only owes an absent player the time they were there", () => {
+    const state = play(
+      newGame(),
+      act.start(0),
+      act.tick(4 * MIN),
+      act.toggleAbsent(3),
+      act.tick(8 * MIN)
+    );
+    const { idealFor, eligiblePlayerCount } = gameMetrics(state);
+    expect(eligiblePlayerCount).toBe(3);
+    // 4 minutes shared by four, then 4 shared by three, two on court
+    expect(idealFor(state.players[3])).toBe((4 * MIN * 2) / 4);
+    expect(idealFor(state.players[2])).toBeCloseTo((4 * MIN * 2) / 4 + (4 * MIN * 2) / 3);
+  });
+
+  it("reopens availability when a player arrives back", () => {
+    const state = play(
+      newGame(),
+      act.start(0),
+      act.tick(MIN),
+      act.toggleAbsent(3),
+      act.tick(2 * MIN),
+      act.toggleAbsent(3)
+    );
+    expect(state.players[3].absent).toBe(false);
+    expect(state.players[3].availability).toEqual([
+      { from: 0, to: MIN },
+      { from: 2 * MIN, to: null },
+    ]);
+  });
+
+  it("fouling out benches the player for good", () => {
+    let state = play(newGame(), act.addFoul(0, 2, 2));
+    expect(state.players[0]).toMatchObject({ active: false, fouledOutAt: 0 });
+    expect(state.notice.message).toMatch(/fouled out/);
+    state = play(state, act.toggleActive(0));
+    expect(state.players[0].active).toBe(false);
+    expect(state.notice.message).toBe("P1 has fouled out.");
+  });
+
+  it("counts personal fouls as team fouls in the period", () => {
+    const state = play(
+      newGame(),
+      act.addFoul(0, 1, 5),
+      act.nextPeriod(),
+      act.addFoul(1, 1, 5),
+      act.addFoul(0, 1, 5),
+      act.addFoul(1, -1, 5),
+      act.addFoul(2, -1, 5)
+    );
+    expect(state.teamFouls.us).toEqual([1, 1, 0, 0]);
+  });
+});
+
+describe("scoring, fouls and timeouts", () => {
+  it("scores in the current period and logs it", () => {
+    const state = play(newGame(), act.nextPeriod(), act.score(1, 3), act.score(1, 2));
+    expect(state.players[1].points).toEqual([0, 5, 0, 0]);
+    expect(state.events.at(-1)).toMatchObject({ type: "score", playerId: 2, points: 2 });
+  });
+
+  it("won't take back points that weren't scored", () => {
+    const scored = play(newGame(), act.score(0, 2), act.scoreOpponent(1));
+    expect(play(scored, act.score(0, -3))).toBe(scored);
+    expect(play(scored, act.scoreOpponent(-2))).toBe(scored);
+    expect(play(scored, act.scoreOpponent(-1)).oppPoints).toEqual([0, 0, 0, 0]);
+  });
+
+  it("keeps team fouls per period and side, never below zero", () => {
+    const state = play(
+      newGame(),
+      act.teamFoul("us", 1),
+      act.nextPeriod(),
+      act.teamFoul("opp", 1),
+      act.teamFoul("opp", 1),
+      act.teamFoul("us", -1)
+    );
+    expect(state.teamFouls).toEqual({ us: [1, 0, 0, 0], opp: [0, 2, 0, 0] });
+  });
+
+  it("counts timeouts by side and undoes the last one with its log entry", () => {
+    let state = play(newGame(), act.timeout("us"), act.timeout("opp"), act.timeout("us"));
+    expect([state.timeoutsUsed, state.oppTimeoutsUsed]).toEqual([2, 1]);
+    state = play(state, act.undoTimeout("opp"));
+    expect(state.oppTimeoutsUsed).toBe(0);
+    const timeouts = effectiveEvents(state.events).filter((e) => e.type === "timeout");
+    expect(timeouts.map((e) => e.side)).toEqual(["us", "us"]);
+  });
+
+  it("counts overtimes in the state and sizes the team figures to them", () => {
+    const state = play(newGame(), act.addOvertime(), act.scoreOpponent(2));
+    expect(state.overtimes).toBe(1);
+    expect(state.config).toEqual(config());
+    expect(state.oppPoints).toEqual([0, 0, 0, 0, 2]);
+    expect(state.teamFouls.us).toHaveLength(5);
+    expect(gameMetrics(state).fullGameMs).toBe(4 * 8 * MIN + QUARTERS.otMinutes * MIN);
+  });
+
+  it("restores the team figures sized to the saved game", () => {
+    const state = play(
+      newGame(),
+      act.restore({
+        periodElapsedMs: [MIN, 0, 0, 0, 0],
+        overtimes: 1,
+        timeoutsUsed: 2,
+        teamFouls: { us: [1, 2] },
+        oppPoints: [4],
+      })
+    );
+    expect(state).toMatchObject({ overtimes: 1, timeoutsUsed: 2, oppTimeoutsUsed: 0 });
+    expect(state.teamFouls).toEqual({ us: [1, 2, 0, 0, 0], opp: [0, 0, 0, 0, 0] });
+    expect(state.oppPoints).toEqual([4, 0, 0, 0, 0]);
+  });
+});
+
+describe("roster edits", () => {
+  it("edits a profile by id and toggles positions", () => {
+    const state = play(
+      newGame(),
+      act.updateProfile(3, { name: "Sam", number: "7" }),
+      act.togglePosition(2, "G"),
+      act.togglePosition(2, "F"),
+      act.togglePosition(2, "G")
+    );
+    expect(state.players[2]).toMatchObject({ id: 3, name: "Sam", number: "7", positions: ["F"] });
+  });
+
+  it("adds players sized to the game and removes them, but never the last", () => {
+    let state = play(newGame(), act.addOvertime(), act.addPlayers([player(5)]));
+    expect(state.players.map((p) => p.id)).toEqual([1, 2, 3, 4, 5]);
+    expect(state.players[4].periodMs).toHaveLength(5);
+    state = play(state, act.removePlayers([2, 5]));
+    expect(state.players.map((p) => p.id)).toEqual([1, 3, 4]);
+    expect(play(state, act.removePlayers([1, 3, 4]))).toBe(state);
+  });
+
+  it("only reorders into a full roster", () => {
+    const state = newGame();
+    expect(play(state, act.reorder([2, 1, 4, 3])).players.map((p) => p.id)).toEqual([2, 1, 4, 3]);
+    expect(play(state, act.reorder([2, 1]))).toBe(state);
+    expect(play(state, act.reorder([1, 1, 2, 3]))).toBe(state);
+  });
+
+  it("uses only plain-data actions", () => {
+    const actions = [act.score(0, 2), act.reorder([1]), act.addPlayers([player(9)])];
+    for (const action of actions) {
+      expect(JSON.parse(JSON.stringify(action))).toEqual(action);
+    }
+  });
+});
+
+describe("reset", () => {
+  it("clears the clock, the log and the minutes", () => {
+    const state = play(
+      newGame(),
+      act.start(0),
+      act.tick(3 * MIN),
+      act.addOvertime(),
+      act.toggleAbsent(3),
+      act.score(0, 2),
+      act.timeout("us"),
+      act.teamFoul("opp", 1),
+      act.reset({ gameId: "g2" })
+    );
+    expect(state.gameId).toBe("g2");
+    expect(state.overtimes).toBe(0);
+    expect(state.timeoutsUsed).toBe(0);
+    expect(state.teamFouls).toEqual({ us: [0, 0, 0, 0], opp: [0, 0, 0, 0] });
+    expect(state.oppPoints).toEqual([0, 0, 0, 0]);
+    expect(state.players[0].points).toEqual([0, 0, 0, 0]);
+    expect(state.periodElapsedMs).toEqual([0, 0, 0, 0]);
+    expect(state.events).toEqual([]);
+    expect(state.running).toBe(false);
+    expect(state.players.map((p) => p.totalMs)).toEqual([0, 0, 0, 0]);
+    expect(activeIds(state)).toEqual([1, 2]);
+    expect(state.players[3].availability).toEqual([]);
+  });
+});
@@ -0,0 +1,52 @@
+// ---------- Event log ----------
+// Append-only game log. Each entry: { id, batch, type, period, at, periodAt, ... }
+//   type: sub_in | sub_out | period_start | period_stop | timeout | overtime | undo
+//   at: game clock (sum of period elapsed), periodAt: clock within `period`
+// An "undo" entry cancels every entry sharing its `ref` batch.
+// Entries also carry `dev`, the device that logged them, so synced logs can be
+// merged (see sync.js). Ids only repeat across devices: a batch is known by
+// device and id, and an undo names the batch's device in `refDev`. Entries
+// saved before `dev` existed have none.
+export const SUB_TYPES = ["sub_in", "sub_out"];
+export const batchKey = (e) => `${e.dev ?? ""}:${e.batch}`;
+// An undo entry cancelling the batch `e` belongs to
+export const undoOf = (e) => ({
+  type: "undo",
+  ref: e.batch,
+  ...(e.dev ? { refDev: e.dev } : {}),
+});
+export const effectiveEvents = (events) => {
+  const undone = new Set(
+    events
+      .filter((e) => e.type === "undo")
+      .map((e) => `${e.refDev ?? ""}:${e.ref}`)
+  );
+  return events.filter((e) => e.type !== "undo" && !undone.has(batchKey(e)));
+};
+// Players sent in once the clock had started (not the opening lineup)
+export const substitutionCount = (events) =>
+  effectiveEvents(events).filter((e) => e.type === "sub_in" && e.at > 0).length;
+// Rebuild every stint per player id: { period, periodAt, start, end } (end null = still on).
+// A player's opening state is inferred from their first sub (a sub_out means
+// they started the game on court), or their current state if they have none.
+export const buildStints = (events, players) => {
+  const subs = effectiveEvents(events).filter((e) => SUB_TYPES.includes(e.type));
+  const byPlayer = {};
+  for (const p of players) {
+    const own = subs.filter((e) => e.playerId === p.id);
+    const stints = [];
+    const startedOn = own.length ? own[0].type === "sub_out" : p.active;
+    let open = startedOn ? { period: 0, periodAt: 0, start: 0, end: null } : null;
+    for (const e of own) {
+      if (e.type === "sub_in" && !open) {
+        open = { period: e.period, periodAt: e.periodAt, start: e.at, end: null };
+      } else if (e.type === "sub_out" && open) {
+        stints.push({ ...open, end: e.at });
+        open = null;
+      }
+    }
+    if (open) stints.push(open);
+    byPlayer[p.id] = stints;
+  }
+  return byPlayer;
+};
@@ -0,0 +1,69 @@
+// ---------- Prorated fair shares ----------
+// Players carry availability windows on the fair clock (the game clock that
+// counts toward fairness): availability: [{ from, to }], to === null while
+// the player is still here. A foul-out ends availability at fouledOutAt.
+// At any moment the on-court minutes are split evenly between the players
+// available right then, so a kid who arrives in Q2 or leaves at halftime is
+// only owed a share of the time they were actually there.
+
+// Windows a player counts toward, clipped at their foul-out
+export function availableWindows(p) {
+  const end = p.fouledOutAt ?? Infinity;
+  return (p.availability ?? [])
+    .map((w) => ({ from: w.from, to: Math.min(w.to ?? Infinity, end) }))
+    .filter((w) => w.to > w.from);
+}
+
+const covers = (windows, t) => windows.some((w) => t >= w.from && t < w.to);
+
+// Returns shareFor(windows, t): the fair share accrued by fair-clock time t
+// for someone available during `windows`, given who else was available.
+export function buildShareCurve(players, onCourt) {
+  const all = players.map(availableWindows);
+  const points = new Set([0]);
+  all.flat().forEach((w) => {
+    points.add(w.from);
+    if (Number.isFinite(w.to)) points.add(w.to);
+  });
+  const bounds = [...points].sort((a, b) => a - b);
+  // Segments between boundaries, with how many players are available in each
+  const segments = bounds.map((from, i) => ({
+    from,
+    to: bounds[i + 1] ?? Infinity,
+    pool: all.filter((ws) => covers(ws, from)).length,
+  }));
+
+  return (windows, t) => {
+    let share = 0;
+    for (const seg of segments) {
+      if (seg.from >= t) break;
+      if (!seg.pool) continue;
+      const segEnd = Math.min(seg.to, t);
+      for (const w of windows) {
+        const overlap = Math.min(segEnd, w.to) - Math.max(seg.from, w.from);
+        if (overlap > 0) share += (overlap * onCourt) / seg.pool;
+      }
+    }
+    return share;
+  };
+}
+
+// Close the open window at t (leaving) or open a new one (arriving)
+export function setAvailable(availability, available, t) {
+  const windows = availability ?? [];
+  const open = windows.find((w) => w.to === null);
+  if (available) return open ? windows : [...windows, { from: t, to: null }];
+  if (!open) return windows;
+  return windows
+    .map((w) => (w === open ? { ...w, to: t } : w))
+    .filter((w) => w.to === null || w.to > w.from);
+}
+
+// Undo a departure: the most recent window runs on again
+export function reopenLastWindow(availability) {
+  const windows = availability ?? [];
+  if (!windows.length || windows[windows.length - 1].to === null) return windows;
+  return windows.map((w, i) =>
+    i === windows.length - 1 ? { ...w, to: null } : w
+  );
+}
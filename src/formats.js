@@ -0,0 +1,122 @@
+import { parsePositions, parseRules } from "./positions.js";
+
+// ---------- Game formats ----------
+// A format describes how a game is divided and how many timeouts it allows:
+// { id, name, periods, periodMinutes, prefix, periodName,
+//   otMinutes, otPrefix, timeouts, otTimeouts, timeoutsPerHalf }
+//   prefix/otPrefix: period label prefix ("Q" → Q1, "OT" → OT1)
+//   timeouts: allowance per game (or per half when timeoutsPerHalf is set,
+//             with unused ones not carrying over)
+//   otTimeouts: extra timeouts granted by each overtime
+//   positions/lineup: position codes and lineup template (see positions.js)
+export const FORMAT_PRESETS = [
+  {
+    id: "Quarters",
+    name: "Quarters",
+    periods: 4,
+    periodMinutes: 8,
+    prefix: "Q",
+    periodName: "Quarter",
+    otMinutes: 3,
+    otPrefix: "OT",
+    timeouts: 5,
+    otTimeouts: 1,
+    timeoutsPerHalf: false,
+    positions: ["G", "F", "C"],
+    lineup: [],
+  },
+  {
+    id: "Halves",
+    name: "Halves",
+    periods: 2,
+    periodMinutes: 16,
+    prefix: "H",
+    periodName: "Half",
+    otMinutes: 3,
+    otPrefix: "OT",
+    timeouts: 5,
+    otTimeouts: 1,
+    timeoutsPerHalf: false,
+    positions: ["G", "F", "C"],
+    lineup: [],
+  },
+  {
+    id: "Quarters10",
+    name: "10-min Quarters (timeouts per half)",
+    periods: 4,
+    periodMinutes: 10,
+    prefix: "Q",
+    periodName: "Quarter",
+    otMinutes: 4,
+    otPrefix: "OT",
+    timeouts: 2,
+    otTimeouts: 1,
+    timeoutsPerHalf: true,
+    positions: ["G", "F", "C"],
+    lineup: [],
+  },
+  {
+    id: "Thirds",
+    name: "Thirds (hockey)",
+    periods: 3,
+    periodMinutes: 15,
+    prefix: "P",
+    periodName: "Period",
+    otMinutes: 5,
+    otPrefix: "OT",
+    timeouts: 1,
+    otTimeouts: 0,
+    timeoutsPerHalf: false,
+    positions: ["G", "D", "F"],
+    lineup: [],
+  },
+  {
+    id: "SoccerHalves",
+    name: "Soccer halves + extra time",
+    periods: 2,
+    periodMinutes: 25,
+    prefix: "H",
+    periodName: "Half",
+    otMinutes: 5,
+    otPrefix: "ET",
+    timeouts: 0,
+    otTimeouts: 0,
+    timeoutsPerHalf: false,
+    positions: ["GK", "DEF", "MID", "FWD"],
+    lineup: [],
+  },
+];
+
+// Resolve a format id against the presets and any team-defined formats,
+// falling back to the first preset for unknown ids
+export const formatById = (id, custom = []) =>
+  [...FORMAT_PRESETS, ...custom].find((f) => f.id === id) ?? FORMAT_PRESETS[0];
+
+// Regulation periods use the period prefix; anything past them is overtime
+export const labelFor = (format, idx) =>
+  idx < format.periods
+    ? `${format.prefix}${idx + 1}`
+    : `${format.otPrefix}${idx - format.periods + 1}`;
+
+// Most regulation periods a format may have
+export const MAX_PERIODS = 8;
+
+// Fill in and bound a user-edited format so the rest of the app can trust it
+export const normalizeFormat = (f) => ({
+  id: f.id,
+  name: String(f.name || "Custom").trim(),
+  periods: Math.min(MAX_PERIODS, Math.max(1, parseInt(f.periods) || 1)),
+  periodMinutes: Math.min(90, Math.max(1, parseInt(f.periodMinutes) || 1)),
+  prefix: String(f.prefix || "P").trim().slice(0, 3),
+  periodName: String(f.periodName || "Period").trim(),
+  otMinutes: Math.min(30, Math.max(1, parseInt(f.otMinutes) || 1)),
+  otPrefix: String(f.otPrefix || "OT").trim().slice(0, 3),
+  timeouts: Math.min(20, Math.max(0, parseInt(f.timeouts) || 0)),
+  otTimeouts: Math.min(5, Math.max(0, parseInt(f.otTimeouts) || 0)),
+  timeoutsPerHalf: !!f.timeoutsPerHalf,
+  positions: parsePositions(f.positions),
+  // Rules may come back as draft text; only keep positions the format uses
+  lineup: (Array.isArray(f.lineup) ? f.lineup : parseRules(f.lineup).rules).filter((r) =>
+    parsePositions(f.positions).includes(r.position)
+  ),
+});
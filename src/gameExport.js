@@ -0,0 +1,217 @@
+import { MAX_PERIODS } from "./formats.js";
+import { gameFigures } from "./report.js";
+
+// ---------- Minutes exports ----------
+// One or more game records (the shape endGame archives) as CSV or JSON.
+// Times are raw milliseconds. The CSV has one row per player per game, then a
+// "team" and an "opponent" row with the scoring and team fouls by period,
+// with columns that never change from game to game: every game gets the same
+// MAX_PERIODS period columns (blank past its own regulation periods), and
+// overtime is summed into one column. JSON keeps the full per-game detail:
+//   { kind: "pt-minutes", version, exportedAt, games: [...] }
+
+export const EXPORT_FILE_KIND = "pt-minutes";
+export const EXPORT_FILE_VERSION = 1;
+
+// p1_<what> … p<MAX_PERIODS>_<what>, then ot_<what>
+function periodColumns(what) {
+  return [...Array.from({ length: MAX_PERIODS }, (_, i) => `p${i + 1}_${what}`), `ot_${what}`];
+}
+
+export const EXPORT_COLUMNS = [
+  "game_id",
+  "date",
+  "roster",
+  "opponent",
+  "format",
+  "periods",
+  "period_minutes",
+  "ot_minutes",
+  "overtimes",
+  "on_court",
+  "ot_counts_toward_goal",
+  "game_ms",
+  "team_score",
+  "opp_score",
+  "timeouts_used",
+  "opp_timeouts_used",
+  "substitutions",
+  "row",
+  "player_id",
+  "number",
+  "player",
+  "absent",
+  "pinned",
+  "total_ms",
+  "counted_ms",
+  "ideal_ms",
+  "goal_ms",
+  "pct_of_goal",
+  "delta_ideal_ms",
+  "delta_goal_ms",
+  ...periodColumns("ms"),
+  "points",
+  ...periodColumns("points"),
+  "fouls",
+  ...periodColumns("fouls"),
+];
+
+const sum = (arr = []) => arr.reduce((a, b) => a + (b || 0), 0);
+const round = (ms) => Math.round(ms);
+
+// Everything about one game that the exports share
+function exportedGame(game) {
+  const { formatDef, gameMs, substitutions, players } = gameFigures(game);
+  // Per-period figures, one per period played (overtimes included)
+  const fitTo = (arr) => game.periodElapsedMs.map((_, i) => arr?.[i] ?? 0);
+  const usByPeriod = game.periodElapsedMs.map((_, i) =>
+    sum(players.map((p) => p.points?.[i]))
+  );
+  const oppByPeriod = fitTo(game.oppPoints);
+  return {
+    id: game.id,
+    date: game.date,
+    roster: game.rosterName,
+    opponent: game.opponent,
+    format: {
+      id: formatDef.id,
+      name: formatDef.name,
+      periods: formatDef.periods,
+      periodMinutes: game.periodMinutes,
+      otMinutes: formatDef.otMinutes,
+    },
+    overtimes: game.overtimes ?? 0,
+    onCourt: game.onCourt,
+    otCountsTowardGoal: game.otCountsTowardGoal ?? true,
+    gameMs,
+    periodElapsedMs: game.periodElapsedMs,
+    score: {
+      us: sum(usByPeriod),
+      opp: sum(oppByPeriod),
+      usByPeriod,
+      oppByPeriod,
+    },
+    // Opponent fouls are only kept when both teams were tracked
+    teamFouls: {
+      us: fitTo(game.teamFouls?.us),
+      opp: game.twoTeamMode ? fitTo(game.teamFouls?.opp) : null,
+    },
+    timeoutsUsed: game.timeoutsUsed,
+    oppTimeoutsUsed: game.twoTeamMode ? game.oppTimeoutsUsed ?? 0 : null,
+    substitutions,
+    players: players.map((p) => ({
+      id: p.id,
+      number: p.number ?? "",
+      name: p.name,
+      absent: !!p.absent,
+      pinned: !!p.pinned,
+      totalMs: round(p.totalMs),
+      countedMs: round(p.countedMs),
+      idealMs: round(p.idealMs),
+      goalMs: round(p.goalMs),
+      // Blank (null) when the player wasn't owed any time
+      pctOfGoal: p.goalMs > 0 ? Math.round((p.countedMs / p.goalMs) * 1000) / 10 : null,
+      deltaIdealMs: round(p.deltaIdealMs),
+      deltaGoalMs: round(p.deltaMs),
+      periodMs: p.periodMs.map(round),
+      points: sum(p.points),
+      periodPoints: fitTo(p.points),
+      fouls: p.fouls ?? 0,
+    })),
+  };
+}
+
+// Quoted only when the text needs it (separators, quotes, edge spaces)
+const csvCell = (value) => {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+const PERIOD_CELLS = MAX_PERIODS + 1;
+const blank = (n) => Array(n).fill(null);
+// A game's MAX_PERIODS regulation cells (blank past its own periods) and the
+// overtime total
+const periodCells = (values, periods) => [
+  ...Array.from({ length: MAX_PERIODS }, (_, i) => (i < periods ? values[i] ?? 0 : null)),
+  sum(values.slice(periods)),
+];
+
+export function minutesCsv(games) {
+  const rows = games.flatMap((game) => {
+    const g = exportedGame(game);
+    const periods = g.format.periods;
+    const gameCells = [
+      g.id,
+      g.date,
+      g.roster,
+      g.opponent,
+      g.format.name,
+      g.format.periods,
+      g.format.periodMinutes,
+      g.format.otMinutes,
+      g.overtimes,
+      g.onCourt,
+      g.otCountsTowardGoal,
+      g.gameMs,
+      g.score.us,
+      g.score.opp,
+      g.timeoutsUsed,
+      g.oppTimeoutsUsed,
+      g.substitutions,
+    ];
+    // Team rows name the side and leave the player's own columns (absent
+    // through the minutes) blank; fouls are blank when they weren't kept
+    const teamRow = (row, name, points, fouls) => [
+      ...gameCells,
+      row,
+      null,
+      null,
+      name,
+      ...blank(9 + PERIOD_CELLS),
+      sum(points),
+      ...periodCells(points, periods),
+      ...(fouls ? [sum(fouls), ...periodCells(fouls, periods)] : blank(1 + PERIOD_CELLS)),
+    ];
+    const playerRows = g.players.map((p) => [
+      ...gameCells,
+      "player",
+      p.id,
+      p.number,
+      p.name,
+      p.absent,
+      p.pinned,
+      p.totalMs,
+      p.countedMs,
+      p.idealMs,
+      p.goalMs,
+      p.pctOfGoal,
+      p.deltaIdealMs,
+      p.deltaGoalMs,
+      ...periodCells(p.periodMs, periods),
+      p.points,
+      ...periodCells(p.periodPoints, periods),
+      // Player fouls are only counted for the whole game
+      p.fouls,
+      ...blank(PERIOD_CELLS),
+    ]);
+    return [
+      ...playerRows,
+      teamRow("team", g.roster, g.score.usByPeriod, g.teamFouls.us),
+      teamRow("opponent", g.opponent || "Opponent", g.score.oppByPeriod, g.teamFouls.opp),
+    ];
+  });
+  return [EXPORT_COLUMNS, ...rows].map((r) => r.map(csvCell).join(",")).join("\n");
+}
+
+export const minutesJson = (games) =>
+  JSON.stringify(
+    {
+      kind: EXPORT_FILE_KIND,
+      version: EXPORT_FILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      games: games.map(exportedGame),
+    },
+    null,
+    2
+  );
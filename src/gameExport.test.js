@@ -0,0 +1,123 @@
+import { describe, expect, it } from "vitest";
+import { FORMAT_PRESETS } from "./formats.js";
+import { EXPORT_COLUMNS, minutesCsv, minutesJson } from "./gameExport.js";
+
+const MIN = 60 * 1000;
+const QUARTERS = FORMAT_PRESETS.find((f) => f.id === "Quarters");
+
+// A finished game as endGame archives it: four quarters and one overtime
+const player = (id, points) => ({
+  id,
+  name: `P${id}`,
+  number: "",
+  absent: false,
+  pinned: false,
+  totalMs: 20 * MIN,
+  periodMs: [5 * MIN, 5 * MIN, 5 * MIN, 5 * MIN, 0],
+  points,
+  fouls: 2,
+  fouledOutAt: null,
+  availability: [{ from: 0, to: null }],
+});
+const game = {
+  id: 1,
+  date: "2026-10-01T18:00:00.000Z",
+  opponent: "Hawks, Jr.",
+  rosterName: "Tigers",
+  format: QUARTERS.id,
+  formatDef: QUARTERS,
+  periodMinutes: 8,
+  onCourt: 2,
+  periodElapsedMs: [8 * MIN, 8 * MIN, 8 * MIN, 8 * MIN, 3 * MIN],
+  timeoutsUsed: 2,
+  overtimes: 1,
+  otCountsTowardGoal: true,
+  twoTeamMode: true,
+  oppTimeoutsUsed: 1,
+  teamFouls: { us: [1, 2, 3, 4, 1], opp: [2, 0, 1, 0, 2] },
+  players: [player(1, [2, 0, 3, 0, 2]), player(2, [0, 4, 0, 1, 0])],
+  oppPoints: [3, 3, 2, 2, 1],
+  events: [],
+};
+
+// Split on commas outside quotes
+const cells = (line) =>
+  line.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/).map((c) => c.replace(/^"(.*)"$/, "$1"));
+const csvRows = () => {
+  const [header, ...lines] = minutesCsv([game]).split("\n");
+  const columns = cells(header);
+  return lines.map((line) =>
+    Object.fromEntries(cells(line).map((value, i) => [columns[i], value]))
+  );
+};
+
+describe("CSV export", () => {
+  it("has a cell for every column on every row", () => {
+    const lines = minutesCsv([game]).split("\n");
+    expect(lines).toHaveLength(1 + 2 + 2);
+    for (const line of lines) expect(cells(line)).toHaveLength(EXPORT_COLUMNS.length);
+  });
+
+  it("gives each player's points by period", () => {
+    const [first] = csvRows();
+    expect(first).toMatchObject({
+      row: "player",
+      player: "P1",
+      points: "7",
+      p1_points: "2",
+      p2_points: "0",
+      p3_points: "3",
+      p4_points: "0",
+      p5_points: "",
+      ot_points: "2",
+    });
+  });
+
+  it("adds team and opponent rows with points and team fouls by period", () => {
+    const [, , team, opp] = csvRows();
+    expect(team).toMatchObject({
+      row: "team",
+      player: "Tigers",
+      total_ms: "",
+      points: "12",
+      p1_points: "2",
+      p2_points: "4",
+      ot_points: "2",
+      fouls: "11",
+      p1_fouls: "1",
+      p4_fouls: "4",
+      ot_fouls: "1",
+    });
+    expect(opp).toMatchObject({
+      row: "opponent",
+      player: "Hawks, Jr.",
+      points: "11",
+      p1_points: "3",
+      ot_points: "1",
+      fouls: "5",
+      p1_fouls: "2",
+      ot_fouls: "2",
+    });
+  });
+
+  it("quotes only the cells that need it", () => {
+    const line = minutesCsv([game]).split("\n")[1];
+    expect(line).toContain(',"Hawks, Jr.",');
+    expect(line).toContain(",Tigers,");
+    expect(line).not.toMatch(/"\d/);
+  });
+});
+
+describe("JSON export", () => {
+  it("keeps points and team fouls by period for both sides", () => {
+    const [g] = JSON.parse(minutesJson([game])).games;
+    expect(g.score).toEqual({
+      us: 12,
+      opp: 11,
+      usByPeriod: [2, 4, 3, 1, 2],
+      oppByPeriod: [3, 3, 2, 2, 1],
+    });
+    expect(g.teamFouls).toEqual({ us: [1, 2, 3, 4, 1], opp: [2, 0, 1, 0, 2] });
+    expect(g.players[1]).toMatchObject({ points: 5, periodPoints: [0, 4, 0, 1, 0] });
+  });
+});
@@ -1,11 +1,22 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import PlayingTimeApp from './app.jsx'
+import PlayingTimeApp, { SpectatorView } from './app.jsx'
+import { watchFromHash } from './sync.js'
+import { openStorage } from './storage.js'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <PlayingTimeApp />
-  </React.StrictMode>,
-)
+// A spectator link (#watch=<room>) opens the read-only view instead
+const watch = watchFromHash()
+
+// Saved data is read once up front, so the app can load it synchronously.
+// The app renders whatever happens: without storage it runs from memory.
+openStorage()
+  .catch((err) => console.warn("Couldn't open storage:", err))
+  .finally(() =>
+    ReactDOM.createRoot(document.getElementById('root')).render(
+      <React.StrictMode>
+        {watch ? <SpectatorView {...watch} /> : <PlayingTimeApp />}
+      </React.StrictMode>,
+    ),
+  )
 
@@ -0,0 +1,122 @@
+// ---------- Positions & lineup templates ----------
+// Players carry positions: ["G", "F"]. A format lists the positions its sport
+// uses and an optional lineup template of rules:
+//   lineup: [{ position, min, max }]   (max === null means no upper bound)
+// Written as text: "1+ C, 2+ G" (at least), "1 GK" (exactly), "2- C" (at most).
+
+export const rulesToText = (rules = []) =>
+  rules
+    .map((r) =>
+      r.min === r.max
+        ? `${r.min} ${r.position}`
+        : r.max === null
+        ? `${r.min}+ ${r.position}`
+        : `${r.max}- ${r.position}`
+    )
+    .join(", ");
+
+// Parse "1+ C, 2+ G" into { rules, rejected }. Rejected are the parts that
+// can't be read, or that name a position outside `positions` when given.
+export function parseRules(text = "", positions) {
+  const rules = [];
+  const rejected = [];
+  for (const part of String(text).split(",").map((s) => s.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)\s*([+-]?)\s*([A-Za-z]+)$/);
+    const position = match?.[3].toUpperCase();
+    if (!match || (positions && !positions.includes(position))) {
+      rejected.push(part);
+      continue;
+    }
+    const count = parseInt(match[1]);
+    rules.push({
+      position,
+      min: match[2] === "-" ? 0 : count,
+      max: match[2] === "+" ? null : count,
+    });
+  }
+  return { rules, rejected };
+}
+
+export const parsePositions = (text = "") =>
+  [
+    ...new Set(
+      (Array.isArray(text) ? text : String(text).split(","))
+        .map((s) => String(s).trim().toUpperCase())
+        .filter(Boolean)
+    ),
+  ];
+
+// Choose `slots` players for the court on top of the pinned ones.
+// `candidates` are eligible players already sorted most-owed first; each
+// { i, positions }. Every on-court player fills one of their positions (a
+// player with none fills no position). Required positions are filled first
+// from the most-owed players who can play them, then the remaining slots go
+// by minutes while respecting any maximums.
+// Returns { picked: [i] } or { error }.
+export function pickLineup({ pinned, candidates, slots, rules }) {
+  if (!rules.length) return { picked: candidates.slice(0, slots).map((c) => c.i) };
+
+  const counts = Object.fromEntries(rules.map((r) => [r.position, 0]));
+  const maxFor = (pos) => rules.find((r) => r.position === pos)?.max ?? Infinity;
+  const minFor = (pos) => rules.find((r) => r.position === pos)?.min ?? 0;
+  const hasRoom = (pos) => (counts[pos] ?? 0) < maxFor(pos);
+  const fill = (pos) => {
+    if (pos in counts) counts[pos] += 1;
+  };
+
+  // Pinned players take the neediest position they can play, else any with room
+  for (const p of pinned) {
+    const options = p.positions ?? [];
+    const pos =
+      options.find((o) => (counts[o] ?? 0) < minFor(o)) ??
+      options.find(hasRoom);
+    if (options.length && !pos) {
+      return { error: `Pinned players exceed the lineup limit for ${options.join("/")}.` };
+    }
+    if (pos) fill(pos);
+  }
+
+  const picked = [];
+  const taken = new Set();
+  // Scarcest positions first so a flexible player isn't spent on an easy one
+  const required = rules
+    .filter((r) => r.min > 0)
+    .map((r) => ({
+      ...r,
+      supply: candidates.filter((c) => c.positions?.includes(r.position)).length,
+    }))
+    .sort((a, b) => a.supply - b.supply);
+  for (const r of required) {
+    while (counts[r.position] < r.min) {
+      if (picked.length >= slots) {
+        return { error: `Lineup template needs more than ${slots + pinned.length} players on court.` };
+      }
+      const c = candidates.find(
+        (c) => !taken.has(c.i) && c.positions?.includes(r.position)
+      );
+      if (!c) {
+        return {
+          error: `Lineup template needs ${r.min} ${r.position} but only ${counts[r.position]} eligible.`,
+        };
+      }
+      taken.add(c.i);
+      picked.push(c.i);
+      fill(r.position);
+    }
+  }
+
+  for (const c of candidates) {
+    if (picked.length >= slots) break;
+    if (taken.has(c.i)) continue;
+    const options = c.positions ?? [];
+    if (options.length && !options.some(hasRoom)) continue;
+    taken.add(c.i);
+    picked.push(c.i);
+    const pos = options.find((o) => !(o in counts)) ?? options.find(hasRoom);
+    if (pos) fill(pos);
+  }
+  if (picked.length < slots) {
+    return { error: "Not enough eligible players to fill the lineup template." };
+  }
+  return { picked };
+}
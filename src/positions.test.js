@@ -0,0 +1,22 @@
+import { describe, expect, it } from "vitest";
+import { parseRules } from "./positions.js";
+
+describe("parseRules", () => {
+  it("reads at least, exactly and at most", () => {
+    expect(parseRules("1+ c, 1 GK, 2- F").rules).toEqual([
+      { position: "C", min: 1, max: null },
+      { position: "GK", min: 1, max: 1 },
+      { position: "F", min: 0, max: 2 },
+    ]);
+  });
+
+  it("hands back the parts it can't read", () => {
+    const { rules, rejected } = parseRules("1+ C, two G, 2+ ", ["C", "G"]);
+    expect(rules).toEqual([{ position: "C", min: 1, max: null }]);
+    expect(rejected).toEqual(["two G", "2+"]);
+  });
+
+  it("rejects positions the format doesn't use", () => {
+    expect(parseRules("1+ C, 1 X", ["C", "G"]).rejected).toEqual(["1 X"]);
+  });
+});
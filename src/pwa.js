@@ -0,0 +1,51 @@
+// ---------- Offline support ----------
+// Register the service worker (production builds only) and report a new
+// version once it is installed and waiting. Nothing reloads on its own: the
+// app decides when it is safe to call applyUpdate().
+export function registerServiceWorker(onUpdateReady) {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  const register = () =>
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`, {
+        scope: import.meta.env.BASE_URL,
+      })
+      .then((reg) => {
+        // Only an update if something was already in control of the page
+        const ready = (worker) => {
+          if (navigator.serviceWorker.controller) onUpdateReady(worker);
+        };
+        if (reg.waiting) ready(reg.waiting);
+        reg.addEventListener("updatefound", () => {
+          const worker = reg.installing;
+          worker?.addEventListener("statechange", () => {
+            if (worker.state === "installed") ready(worker);
+          });
+        });
+        // Long sessions at the gym: look for a new version every hour, until
+        // a new worker replaces the one in control. On a first install the
+        // worker claiming the page is not a replacement, so checks go on.
+        const timer = setInterval(() => reg.update().catch(() => {}), 60 * 60 * 1000);
+        let controlled = !!navigator.serviceWorker.controller;
+        const onControllerChange = () => {
+          if (controlled) {
+            clearInterval(timer);
+            navigator.serviceWorker.removeEventListener("controllerchange", onControllerChange);
+          }
+          controlled = true;
+        };
+        navigator.serviceWorker.addEventListener("controllerchange", onControllerChange);
+      })
+      .catch(() => {});
+  if (document.readyState === "complete") register();
+  else window.addEventListener("load", register, { once: true });
+}
+
+// Let the waiting worker take over, then reload into the new version
+export function applyUpdate(worker) {
+  navigator.serviceWorker.addEventListener(
+    "controllerchange",
+    () => window.location.reload(),
+    { once: true }
+  );
+  worker.postMessage({ type: "SKIP_WAITING" });
+}
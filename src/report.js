@@ -0,0 +1,225 @@
+import { substitutionCount } from "./events.js";
+import { availableWindows, buildShareCurve } from "./fairness.js";
+import { formatById, labelFor } from "./formats.js";
+import { msToClock } from "./time.js";
+
+// ---------- Post-game report ----------
+// A self-contained HTML page for one game record (the shape endGame archives):
+// header, per-player minutes against the goal, subs and timeouts, and the
+// minutes chart as inline SVG. No scripts or outside files, so a saved copy
+// opens and prints anywhere.
+
+const escapeHtml = (text) =>
+  String(text ?? "").replace(
+    /[&<>"']/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+  );
+
+const signedClock = (ms) => `${ms < 0 ? "−" : "+"}${msToClock(Math.abs(ms))}`;
+
+// Per-player minutes against the ideal (fair share of the minutes played so
+// far) and the goal (fair share of a full game), prorated by availability like
+// the live view. Games archived before availability was kept split evenly.
+export function gameFigures(game) {
+  const formatDef = game.formatDef ?? formatById(game.format);
+  const otCounted = game.otCountsTowardGoal ?? true;
+  const fullGameMs =
+    (formatDef.periods * (game.periodMinutes ?? 0) +
+      (otCounted ? (game.overtimes ?? 0) * formatDef.otMinutes : 0)) *
+    60 * 1000;
+  const countedElapsedMs = game.periodElapsedMs
+    .slice(0, otCounted ? undefined : formatDef.periods)
+    .reduce((a, b) => a + b, 0);
+  const eligible = game.players.filter((p) => !p.absent).length;
+  const shareFor = buildShareCurve(game.players, game.onCourt);
+  const shareBy = (p, t) =>
+    p.availability
+      ? shareFor(availableWindows(p), t)
+      : p.absent || !eligible
+      ? 0
+      : (t * game.onCourt) / eligible;
+  // Headline figures are for a player who is here the whole game
+  const wholeGame = game.players.some((p) => p.availability)
+    ? { availability: [{ from: 0, to: null }] }
+    : {};
+  const perPlayer = (t) => (eligible ? shareBy(wholeGame, t) : 0);
+  const countedMs = (p) =>
+    otCounted
+      ? p.totalMs
+      : p.periodMs.slice(0, formatDef.periods).reduce((a, b) => a + b, 0);
+  return {
+    formatDef,
+    periodLabels: game.periodElapsedMs.map((_, i) => labelFor(formatDef, i)),
+    gameMs: game.periodElapsedMs.reduce((a, b) => a + b, 0),
+    substitutions: substitutionCount(game.events ?? []),
+    idealMsPerPlayer: perPlayer(countedElapsedMs),
+    goalMsPerPlayer: perPlayer(fullGameMs),
+    players: game.players.map((p) => {
+      const goalMs = shareBy(p, fullGameMs);
+      const idealMs = shareBy(p, countedElapsedMs);
+      return {
+        ...p,
+        countedMs: countedMs(p),
+        idealMs,
+        goalMs,
+        deltaMs: countedMs(p) - goalMs,
+        deltaIdealMs: countedMs(p) - idealMs,
+      };
+    }),
+  };
+}
+
+// "Total Minutes by Player" bars with each player's goal marked
+export function reportChartSvg(game) {
+  const { players } = gameFigures(game);
+  const width = 720;
+  const height = 280;
+  const left = 40;
+  const bottom = 70;
+  const top = 30;
+  const plotH = height - top - bottom;
+  const toMin = (ms) => ms / 60000;
+  const peak = Math.max(1, ...players.map((p) => Math.max(toMin(p.totalMs), toMin(p.goalMs))));
+  const step = peak > 40 ? 10 : peak > 16 ? 5 : peak > 6 ? 2 : 1;
+  const yMax = Math.ceil(peak / step) * step;
+  const y = (min) => top + plotH - (min / yMax) * plotH;
+  const slot = (width - left - 10) / Math.max(1, players.length);
+  const barW = Math.min(40, slot * 0.6);
+
+  const grid = [];
+  for (let m = 0; m <= yMax; m += step) {
+    grid.push(
+      `<line x1="${left}" x2="${width - 10}" y1="${y(m)}" y2="${y(m)}" stroke="#e5e7eb"/>` +
+        `<text x="${left - 6}" y="${y(m) + 3}" text-anchor="end">${m}</text>`
+    );
+  }
+  const bars = players.map((p, i) => {
+    const cx = left + slot * i + slot / 2;
+    const minutes = toMin(p.totalMs);
+    const goal = p.goalMs > 0
+      ? `<line x1="${cx - barW / 2 - 4}" x2="${cx + barW / 2 + 4}" y1="${y(toMin(p.goalMs))}" y2="${y(toMin(p.goalMs))}" stroke="#0f172a" stroke-dasharray="3 2"/>`
+      : "";
+    return (
+      `<rect x="${cx - barW / 2}" y="${y(minutes)}" width="${barW}" height="${y(0) - y(minutes)}" fill="${p.absent ? "#cbd5e1" : "#6366f1"}" rx="2"/>` +
+      goal +
+      `<text x="${cx}" y="${y(minutes) - 4}" text-anchor="middle">${minutes.toFixed(1)}</text>` +
+      `<text transform="translate(${cx},${y(0) + 12}) rotate(-30)" text-anchor="end">${escapeHtml(p.name)}</text>`
+    );
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" font-family="system-ui, sans-serif" font-size="10" fill="#374151">
+<text x="${left}" y="16" font-size="13" font-weight="600" fill="#111827">Total Minutes by Player</text>
+<text x="${width - 10}" y="16" text-anchor="end">- - - goal</text>
+${grid.join("\n")}
+${bars.join("\n")}
+</svg>`;
+}
+
+const REPORT_CSS = `
+  * { box-sizing: border-box; }
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #111827;
+         margin: 0 auto; padding: 24px; max-width: 780px; font-size: 13px; }
+  h1 { font-size: 20px; margin: 0; }
+  .meta { color: #6b7280; margin: 4px 0 16px; }
+  .facts { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 16px; }
+  .fact { border: 1px solid #e5e7eb; border-radius: 8px; padding: 6px 10px; }
+  .fact b { display: block; font-size: 15px; }
+  .fact span { color: #6b7280; font-size: 11px; }
+  table { width: 100%; border-collapse: collapse; font-variant-numeric: tabular-nums; margin-bottom: 16px; }
+  th, td { padding: 4px 6px; text-align: right; border-bottom: 1px solid #e5e7eb; }
+  th { color: #6b7280; font-weight: 500; }
+  th:first-child, td:first-child, th:nth-child(2), td:nth-child(2) { text-align: left; }
+  tr.absent td { color: #9ca3af; }
+  tr.even td { color: #6b7280; font-style: italic; }
+  td.over { color: #047857; }
+  td.under { color: #be123c; }
+  svg { width: 100%; height: auto; }
+  footer { color: #9ca3af; font-size: 11px; margin-top: 12px; }
+  @page { margin: 12mm; }
+  @media print {
+    body { padding: 0; max-width: none; }
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    tr, .chart { break-inside: avoid; }
+  }
+`;
+
+export function gameReportHtml(game) {
+  const { formatDef, periodLabels, gameMs, substitutions, players } =
+    gameFigures(game);
+  const team = game.rosterName || "Us";
+  const title = `${team}${game.opponent ? ` vs ${game.opponent}` : ""}`;
+  const date = new Date(game.date);
+  const usScore = players.reduce(
+    (sum, p) => sum + (p.points ?? []).reduce((a, b) => a + b, 0),
+    0
+  );
+  const oppScore = (game.oppPoints ?? []).reduce((a, b) => a + b, 0);
+  const eligible = players.filter((p) => !p.absent).length;
+
+  const facts = [
+    ["Game time", msToClock(gameMs)],
+    ...(usScore || oppScore ? [["Score", `${usScore}–${oppScore}`]] : []),
+    ["Substitutions", substitutions],
+    [
+      "Timeouts used",
+      game.twoTeamMode
+        ? `${game.timeoutsUsed} · opp ${game.oppTimeoutsUsed ?? 0}`
+        : game.timeoutsUsed,
+    ],
+    ...(game.overtimes ? [["Overtimes", game.overtimes]] : []),
+    ["On court", `${game.onCourt} of ${eligible}`],
+  ];
+
+  const rows = players.map((p) => {
+    const delta = p.absent
+      ? "<td></td>"
+      : `<td class="${p.deltaMs >= 0 ? "over" : "under"}">${signedClock(p.deltaMs)}</td>`;
+    return `<tr class="${p.absent ? "absent" : ""}">
+  <td>${escapeHtml(p.number)}</td>
+  <td>${escapeHtml(p.name)}${p.absent ? " (absent)" : ""}</td>
+  ${p.periodMs.map((ms) => `<td>${msToClock(ms)}</td>`).join("")}
+  <td><b>${msToClock(p.totalMs)}</b></td>
+  <td>${p.absent ? "" : msToClock(p.goalMs)}</td>
+  ${delta}
+</tr>`;
+  });
+  // What each period would have given a player here for all of it
+  const evenRow = eligible
+    ? `<tr class="even"><td></td><td>Even share</td>${game.periodElapsedMs
+        .map((ms) => `<td>${msToClock((ms * game.onCourt) / eligible)}</td>`)
+        .join("")}<td></td><td></td><td></td></tr>`
+    : "";
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} — ${escapeHtml(date.toLocaleDateString())}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">${escapeHtml(date.toLocaleString())} · ${escapeHtml(formatDef.name)} · ${
+    formatDef.periods
+  } × ${game.periodMinutes ?? formatDef.periodMinutes} min</div>
+<div class="facts">
+${facts.map(([label, value]) => `<div class="fact"><b>${escapeHtml(value)}</b><span>${label}</span></div>`).join("\n")}
+</div>
+<table>
+<thead><tr><th>#</th><th>Player</th>${periodLabels
+    .map((l) => `<th>${escapeHtml(l)}</th>`)
+    .join("")}<th>Total</th><th>Goal</th><th>Δ</th></tr></thead>
+<tbody>
+${rows.join("\n")}
+${evenRow}
+</tbody>
+</table>
+<div class="chart">${reportChartSvg(game)}</div>
+<footer>Goal: the player's fair share of a full game${
+    game.otCountsTowardGoal === false ? " (overtime excluded)" : ""
+  }, prorated for time they weren't there.</footer>
+</body>
+</html>
+`;
+}
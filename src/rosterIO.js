@@ -0,0 +1,165 @@
+// ---------- Roster files ----------
+// Saved rosters move between devices as a versioned JSON file:
+//   { kind: "pt-rosters", version, exportedAt, rosters: { [name]: roster } }
+// or as a plain CSV of names and jersey numbers for a single new roster.
+// Parsers never throw on bad content: they return what they could read plus
+// human-readable errors for everything they skipped.
+
+export const ROSTER_FILE_KIND = "pt-rosters";
+export const ROSTER_FILE_VERSION = 1;
+
+export const rosterFileJson = (rosters) =>
+  JSON.stringify(
+    {
+      kind: ROSTER_FILE_KIND,
+      version: ROSTER_FILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      rosters,
+    },
+    null,
+    2
+  );
+
+// Check one player entry; returns { player } or { error }
+const readPlayer = (raw, where) => {
+  if (!raw || typeof raw !== "object") return { error: `${where}: not a player` };
+  const name = String(raw.name ?? "").trim();
+  if (!name) return { error: `${where}: missing name` };
+  const number = String(raw.number ?? "").trim();
+  if (number.length > 3) return { error: `${where}: jersey "${number}" is too long` };
+  return {
+    player: {
+      ...(raw.id != null ? { id: raw.id } : {}),
+      name,
+      number,
+      notes: String(raw.notes ?? ""),
+      color: /^#[0-9a-f]{6}$/i.test(raw.color ?? "") ? raw.color : "",
+      positions: Array.isArray(raw.positions) ? raw.positions.map(String) : [],
+      absent: !!raw.absent,
+    },
+  };
+};
+
+// Read a roster JSON file; returns { rosters, errors }
+export function parseRosterFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { rosters: {}, errors: ["Not a valid JSON file."] };
+  }
+  if (data?.kind !== ROSTER_FILE_KIND || typeof data.rosters !== "object") {
+    return { rosters: {}, errors: ["This file is not a roster export."] };
+  }
+  if (!(data.version <= ROSTER_FILE_VERSION)) {
+    return {
+      rosters: {},
+      errors: [`Roster file version ${data.version} is newer than this app supports.`],
+    };
+  }
+  const rosters = {};
+  const errors = [];
+  for (const [name, raw] of Object.entries(data.rosters ?? {})) {
+    const list = Array.isArray(raw?.players) ? raw.players : [];
+    const players = [];
+    list.forEach((rp, i) => {
+      const { player, error } = readPlayer(rp, `${name}, player ${i + 1}`);
+      if (error) errors.push(error);
+      else players.push(player);
+    });
+    if (!players.length) {
+      errors.push(`${name}: no valid players, skipped`);
+      continue;
+    }
+    rosters[name] = {
+      players,
+      onCourt: Math.min(players.length, Math.max(1, parseInt(raw.onCourt) || 5)),
+      season: raw.season && typeof raw.season === "object" ? raw.season : {},
+    };
+  }
+  return { rosters, errors };
+}
+
+// Minimal CSV: comma separated, double quotes around fields with commas,
+// quotes ("") or line breaks. Returns the non-blank rows, each with the line
+// it starts on.
+const csvRows = (text) => {
+  const rows = [];
+  let cells = [];
+  let cur = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const endRow = () => {
+    cells.push(cur.trim());
+    if (cells.some(Boolean)) rows.push({ line: rowLine, cells });
+    cells = [];
+    cur = "";
+    rowLine = line;
+  };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "\n") line++;
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      cells.push(cur.trim());
+      cur = "";
+    } else if (ch === "\n") endRow();
+    else cur += ch;
+  }
+  endRow();
+  return rows;
+};
+
+const NAME_HEADERS = ["name", "player", "player name", "full name"];
+const NUMBER_HEADERS = ["number", "#", "jersey", "no", "no.", "num"];
+
+// Read names and numbers from CSV. A header row may name the columns
+// ("name"/"player"/"full name", "number"/"#"/"jersey"); without one, a
+// numeric first column is taken as the jersey, and a first row with words but
+// no digits where the jerseys go is taken as a header anyway.
+// Returns { players, errors }.
+export function parseRosterCsv(text) {
+  const rows = csvRows(String(text).replace(/\r\n?/g, "\n"));
+  if (!rows.length) return { players: [], errors: ["The CSV file is empty."] };
+
+  const header = rows[0].cells.map((c) => c.toLowerCase());
+  let nameCol = header.findIndex((c) => NAME_HEADERS.includes(c));
+  let numberCol = header.findIndex((c) => NUMBER_HEADERS.includes(c));
+  let hasHeader = nameCol >= 0 || numberCol >= 0;
+  if (hasHeader && nameCol < 0) nameCol = numberCol === 0 ? 1 : 0;
+  if (!hasHeader) {
+    const numericFirst = /^\d{1,3}$/.test(rows[0].cells[0]);
+    nameCol = numericFirst ? 1 : 0;
+    numberCol = numericFirst ? 0 : 1;
+    const hasDigits = (row) => /\d/.test(row.cells[numberCol] ?? "");
+    hasHeader =
+      !!rows[0].cells[numberCol] && !hasDigits(rows[0]) && rows.slice(1).some(hasDigits);
+  }
+
+  const players = [];
+  const errors = [];
+  for (const row of hasHeader ? rows.slice(1) : rows) {
+    const { player, error } = readPlayer(
+      { name: row.cells[nameCol], number: row.cells[numberCol] ?? "" },
+      `Row ${row.line}`
+    );
+    if (error) errors.push(error);
+    else players.push(player);
+  }
+  return { players, errors };
+}
+
+// "Team" → "Team (2)" → "Team (3)" … until the name is free
+export const uniqueRosterName = (name, taken) => {
+  if (!taken.includes(name)) return name;
+  let n = 2;
+  while (taken.includes(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+};
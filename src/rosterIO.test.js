@@ -0,0 +1,131 @@
+import { describe, expect, it } from "vitest";
+import {
+  ROSTER_FILE_VERSION,
+  parseRosterCsv,
+  parseRosterFile,
+  rosterFileJson,
+  uniqueRosterName,
+} from "./rosterIO.js";
+
+const names = ({ players }) => players.map((p) => [p.number, p.name]);
+
+describe("roster files", () => {
+  const rosters = {
+    Tigers: { players: [{ name: "Ann", number: "4" }, { name: "Bo", number: "12" }], onCourt: 2 },
+  };
+
+  it("reads back what it exports", () => {
+    const { rosters: read, errors } = parseRosterFile(rosterFileJson(rosters));
+    expect(errors).toEqual([]);
+    expect(read.Tigers.onCourt).toBe(2);
+    expect(names(read.Tigers)).toEqual([
+      ["4", "Ann"],
+      ["12", "Bo"],
+    ]);
+  });
+
+  it("reports a file that isn't JSON", () => {
+    expect(parseRosterFile("{ rosters: ")).toEqual({
+      rosters: {},
+      errors: ["Not a valid JSON file."],
+    });
+  });
+
+  it("reports JSON that isn't a roster export", () => {
+    expect(parseRosterFile('{"games": []}').errors).toEqual([
+      "This file is not a roster export.",
+    ]);
+  });
+
+  it("refuses a file from a newer version", () => {
+    const newer = JSON.parse(rosterFileJson(rosters));
+    newer.version = ROSTER_FILE_VERSION + 1;
+    expect(parseRosterFile(JSON.stringify(newer))).toEqual({
+      rosters: {},
+      errors: [`Roster file version ${ROSTER_FILE_VERSION + 1} is newer than this app supports.`],
+    });
+  });
+
+  it("skips bad players and rosters left without any", () => {
+    const file = JSON.parse(rosterFileJson(rosters));
+    file.rosters.Tigers.players.push({ number: "7" }, { name: "Cy", number: "1234" });
+    file.rosters.Empty = { players: [{ name: " " }] };
+    const { rosters: read, errors } = parseRosterFile(JSON.stringify(file));
+    expect(Object.keys(read)).toEqual(["Tigers"]);
+    expect(read.Tigers.players).toHaveLength(2);
+    expect(errors).toEqual([
+      "Tigers, player 3: missing name",
+      'Tigers, player 4: jersey "1234" is too long',
+      "Empty, player 1: missing name",
+      "Empty: no valid players, skipped",
+    ]);
+  });
+});
+
+describe("roster CSV", () => {
+  it("finds the columns from a header row", () => {
+    expect(names(parseRosterCsv("Number,Name\n4,Ann\n12,Bo"))).toEqual([
+      ["4", "Ann"],
+      ["12", "Bo"],
+    ]);
+  });
+
+  it("recognises player and full name headers", () => {
+    expect(names(parseRosterCsv("Player,#\nAnn,4"))).toEqual([["4", "Ann"]]);
+    expect(names(parseRosterCsv("Full name,Jersey\r\nAnn Lee,4\r\n"))).toEqual([["4", "Ann Lee"]]);
+  });
+
+  it("takes a first row with no jersey digits as a header", () => {
+    expect(names(parseRosterCsv("Kid,Shirt\nAnn,4\nBo,12"))).toEqual([
+      ["4", "Ann"],
+      ["12", "Bo"],
+    ]);
+  });
+
+  it("reads a numeric first column as the jersey without a header", () => {
+    expect(names(parseRosterCsv("4,Ann\n12,Bo"))).toEqual([
+      ["4", "Ann"],
+      ["12", "Bo"],
+    ]);
+  });
+
+  it("reads names first without a header, numbers or not", () => {
+    expect(names(parseRosterCsv("Ann,\nBo,12\nCy"))).toEqual([
+      ["", "Ann"],
+      ["12", "Bo"],
+      ["", "Cy"],
+    ]);
+  });
+
+  it("keeps commas, quotes and line breaks inside quoted cells", () => {
+    const csv = 'Name,Number\n"Lee, Ann",4\n"Bo ""Bolt"" Ray",12\n"Cy\nJr.",7\nDee,8';
+    const { players, errors } = parseRosterCsv(csv);
+    expect(errors).toEqual([]);
+    expect(names({ players })).toEqual([
+      ["4", "Lee, Ann"],
+      ["12", 'Bo "Bolt" Ray'],
+      ["7", "Cy\nJr."],
+      ["8", "Dee"],
+    ]);
+  });
+
+  it("reports bad rows by the line they start on", () => {
+    const { players, errors } = parseRosterCsv('Name,Number\n"Cy\nJr.",7\n,5\nBo,1234');
+    expect(names({ players })).toEqual([["7", "Cy\nJr."]]);
+    expect(errors).toEqual(["Row 4: missing name", 'Row 5: jersey "1234" is too long']);
+  });
+
+  it("says so when there is nothing to read", () => {
+    expect(parseRosterCsv(" \n,\n")).toEqual({
+      players: [],
+      errors: ["The CSV file is empty."],
+    });
+  });
+});
+
+describe("uniqueRosterName", () => {
+  it("numbers a name that is taken", () => {
+    expect(uniqueRosterName("Tigers", [])).toBe("Tigers");
+    expect(uniqueRosterName("Tigers", ["Tigers", "Tigers (2)"])).toBe("Tigers (3)");
+  });
+});
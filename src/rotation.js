@@ -0,0 +1,102 @@
+// ---------- Rotation planning ----------
+// A plan cuts every period into slices of `sliceMs` (the last slice of a
+// period absorbs any remainder) and assigns a lineup of player ids to each.
+// Shape: { sliceMs, numPeriods, periodLengthMs, onCourt, createdAt,
+//          slices: [{ period, startMs, endMs, lineup: [id] }],
+//          plannedMs: { [id]: ms } }
+
+// Greedy fill: each slice takes the players with the least planned time so
+// far, preferring whoever sat the previous slice on ties. Pinned players stay
+// on for the whole game and absent players are left out, so everyone else
+// lands close to the per-player goal.
+export function buildRotationPlan({
+  players,
+  onCourt,
+  numPeriods,
+  periodLengthMs,
+  sliceMs,
+}) {
+  const eligible = players.filter((p) => !p.absent);
+  const pinnedIds = eligible
+    .filter((p) => p.pinned && p.active)
+    .map((p) => p.id)
+    .slice(0, onCourt);
+  const plannedMs = Object.fromEntries(eligible.map((p) => [p.id, 0]));
+  const step = Math.max(60 * 1000, Math.min(sliceMs, periodLengthMs));
+  const perPeriod = Math.max(1, Math.floor(periodLengthMs / step));
+  const slices = [];
+  let prev = new Set();
+
+  for (let period = 0; period < numPeriods; period++) {
+    for (let k = 0; k < perPeriod; k++) {
+      const startMs = k * step;
+      const endMs = k === perPeriod - 1 ? periodLengthMs : startMs + step;
+      const picked = eligible
+        .filter((p) => !pinnedIds.includes(p.id))
+        .sort(
+          (a, b) =>
+            plannedMs[a.id] - plannedMs[b.id] ||
+            prev.has(a.id) - prev.has(b.id)
+        )
+        .slice(0, Math.max(0, onCourt - pinnedIds.length))
+        .map((p) => p.id);
+      const onSet = new Set([...pinnedIds, ...picked]);
+      // Keep roster order so lineups read the same way every slice
+      const lineup = eligible.filter((p) => onSet.has(p.id)).map((p) => p.id);
+      lineup.forEach((id) => (plannedMs[id] += endMs - startMs));
+      slices.push({ period, startMs, endMs, lineup });
+      prev = onSet;
+    }
+  }
+
+  return {
+    sliceMs: step,
+    numPeriods,
+    periodLengthMs,
+    onCourt,
+    createdAt: new Date().toISOString(),
+    slices,
+    plannedMs,
+  };
+}
+
+// Index of the slice covering `periodMs` within `period` (-1 if none)
+export function sliceIndexAt(plan, period, periodMs) {
+  return plan.slices.findIndex(
+    (s) =>
+      s.period === period &&
+      periodMs >= s.startMs &&
+      (periodMs < s.endMs || s.endMs === plan.periodLengthMs)
+  );
+}
+
+// The next slice whose lineup differs from the current one, with who goes in
+// and who comes out. Null once the plan has no more changes.
+export function nextPlannedSub(plan, period, periodMs) {
+  const idx = sliceIndexAt(plan, period, periodMs);
+  if (idx < 0) return null;
+  const current = new Set(plan.slices[idx].lineup);
+  for (let i = idx + 1; i < plan.slices.length; i++) {
+    const slice = plan.slices[i];
+    const next = new Set(slice.lineup);
+    const goingIn = slice.lineup.filter((id) => !current.has(id));
+    const goingOut = [...current].filter((id) => !next.has(id));
+    if (goingIn.length || goingOut.length) {
+      return { index: i, slice, goingIn, goingOut };
+    }
+  }
+  return null;
+}
+
+// Planned minutes per player up to the clock in `periodElapsedMs`
+export function plannedMsSoFar(plan, periodElapsedMs) {
+  const out = {};
+  for (const s of plan.slices) {
+    const played = Math.max(
+      0,
+      Math.min(s.endMs, periodElapsedMs[s.period] || 0) - s.startMs
+    );
+    for (const id of s.lineup) out[id] = (out[id] ?? 0) + played;
+  }
+  return out;
+}
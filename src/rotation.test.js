@@ -0,0 +1,201 @@
+import { describe, expect, it } from "vitest";
+import { act, createGame, gameReducer } from "./engine.js";
+import { FORMAT_PRESETS } from "./formats.js";
+import {
+  buildRotationPlan,
+  nextPlannedSub,
+  plannedMsSoFar,
+  sliceIndexAt,
+} from "./rotation.js";
+
+const MIN = 60 * 1000;
+
+const player = (id, fields = {}) => ({
+  id,
+  name: `P${id}`,
+  active: false,
+  pinned: false,
+  absent: false,
+  ...fields,
+});
+const roster = (n, fields = {}) =>
+  Array.from({ length: n }, (_, i) => player(i + 1, fields[i + 1]));
+
+// Four 8-minute quarters, two on court, in 4-minute slices
+const plan = (players, overrides = {}) =>
+  buildRotationPlan({
+    players,
+    onCourt: 2,
+    numPeriods: 4,
+    periodLengthMs: 8 * MIN,
+    sliceMs: 4 * MIN,
+    ...overrides,
+  });
+const spread = (plannedMs) =>
+  Math.max(...Object.values(plannedMs)) - Math.min(...Object.values(plannedMs));
+
+describe("buildRotationPlan", () => {
+  it("splits the game evenly when the slices allow it", () => {
+    const p = plan(roster(4));
+    expect(p.slices).toHaveLength(8);
+    expect(p.slices[0]).toMatchObject({ period: 0, startMs: 0, endMs: 4 * MIN });
+    expect(p.plannedMs).toEqual({ 1: 16 * MIN, 2: 16 * MIN, 3: 16 * MIN, 4: 16 * MIN });
+    for (const s of p.slices) expect(s.lineup).toHaveLength(2);
+  });
+
+  it("keeps an uneven split within one slice of even", () => {
+    const p = plan(roster(5));
+    const total = Object.values(p.plannedMs).reduce((a, b) => a + b, 0);
+    expect(total).toBe(2 * 4 * 8 * MIN);
+    expect(spread(p.plannedMs)).toBeLessThanOrEqual(4 * MIN);
+  });
+
+  it("gives the last slice of a period whatever is left over", () => {
+    const p = plan(roster(4), { sliceMs: 3 * MIN });
+    expect(p.slices.filter((s) => s.period === 0)).toMatchObject([
+      { startMs: 0, endMs: 3 * MIN },
+      { startMs: 3 * MIN, endMs: 8 * MIN },
+    ]);
+  });
+
+  it("keeps slices between a minute and a period", () => {
+    expect(plan(roster(4), { sliceMs: 10 * 1000 }).sliceMs).toBe(MIN);
+    const long = plan(roster(4), { sliceMs: 20 * MIN });
+    expect(long.sliceMs).toBe(8 * MIN);
+    expect(long.slices).toHaveLength(4);
+  });
+
+  it("leaves absent players out and shares their time among the rest", () => {
+    const p = plan(roster(5, { 3: { absent: true } }));
+    expect(p.plannedMs).not.toHaveProperty("3");
+    for (const s of p.slices) expect(s.lineup).not.toContain(3);
+    expect(p.plannedMs).toEqual({ 1: 16 * MIN, 2: 16 * MIN, 4: 16 * MIN, 5: 16 * MIN });
+  });
+
+  it("fits in a late arrival when the plan is made again", () => {
+    // Planned before they arrived (the app plans them as absent), then again
+    const before = plan(roster(5, { 5: { absent: true } }));
+    const after = plan(roster(5));
+    expect(before.plannedMs).not.toHaveProperty("5");
+    expect(after.plannedMs[5]).toBeGreaterThan(0);
+    expect(spread(after.plannedMs)).toBeLessThanOrEqual(4 * MIN);
+  });
+
+  it("keeps pinned players on for the whole game", () => {
+    const p = plan(roster(5, { 4: { pinned: true, active: true } }));
+    for (const s of p.slices) expect(s.lineup).toContain(4);
+    expect(p.plannedMs[4]).toBe(32 * MIN);
+    // The other spot is shared among the rest
+    expect(new Set([1, 2, 3, 5].map((id) => p.plannedMs[id])).size).toBe(1);
+  });
+
+  it("rests whoever just played when planned time is tied", () => {
+    const p = plan(roster(4));
+    expect(p.slices[0].lineup).toEqual([1, 2]);
+    expect(p.slices[1].lineup).toEqual([3, 4]);
+  });
+});
+
+describe("sliceIndexAt", () => {
+  const p = plan(roster(4));
+
+  it("finds the slice covering the clock", () => {
+    expect(sliceIndexAt(p, 0, 0)).toBe(0);
+    expect(sliceIndexAt(p, 0, 4 * MIN - 1)).toBe(0);
+    expect(sliceIndexAt(p, 0, 4 * MIN)).toBe(1);
+    expect(sliceIndexAt(p, 2, 5 * MIN)).toBe(5);
+  });
+
+  it("keeps the last slice at the end of the period", () => {
+    expect(sliceIndexAt(p, 1, 8 * MIN)).toBe(3);
+  });
+
+  it("gives -1 for a period outside the plan", () => {
+    expect(sliceIndexAt(p, 4, 0)).toBe(-1);
+  });
+});
+
+describe("nextPlannedSub", () => {
+  it("names who goes in and who comes out at the next change", () => {
+    const p = plan(roster(4));
+    expect(nextPlannedSub(p, 0, MIN)).toMatchObject({
+      index: 1,
+      slice: { startMs: 4 * MIN },
+      goingIn: [3, 4],
+      goingOut: [1, 2],
+    });
+  });
+
+  it("skips slices that keep the same lineup", () => {
+    // The first three slices played by the same two
+    const p = plan(roster(4));
+    const same = {
+      ...p,
+      slices: p.slices.map((s, i) => (i === 1 ? { ...s, lineup: [1, 2] } : s)),
+    };
+    expect(nextPlannedSub(same, 0, MIN)).toMatchObject({ index: 3, goingIn: [3, 4] });
+  });
+
+  it("is null after the last change or off the plan", () => {
+    const p = plan(roster(4));
+    expect(nextPlannedSub(p, 3, 5 * MIN)).toBeNull();
+    expect(nextPlannedSub(p, 4, 0)).toBeNull();
+    const pinned = plan(roster(2, { 1: { pinned: true, active: true } }));
+    expect(nextPlannedSub(pinned, 0, 0)).toBeNull();
+  });
+});
+
+describe("plannedMsSoFar", () => {
+  const p = plan(roster(4));
+
+  it("counts planned time up to the clock, part slices included", () => {
+    expect(plannedMsSoFar(p, [8 * MIN, 2 * MIN, 0, 0])).toEqual({
+      1: 6 * MIN,
+      2: 6 * MIN,
+      3: 4 * MIN,
+      4: 4 * MIN,
+    });
+  });
+
+  // A game in the engine that follows the plan (or doesn't)
+  const newGame = () =>
+    createGame({
+      config: {
+        format: FORMAT_PRESETS.find((f) => f.id === "Quarters"),
+        periodLengthMs: 8 * MIN,
+        onCourt: 2,
+        otCountsTowardGoal: true,
+        maxStintMs: 0,
+        minRestMs: 0,
+      },
+      players: [1, 2, 3, 4].map((id) => ({
+        ...player(id, { active: id <= 2 }),
+        positions: [],
+        totalMs: 0,
+        periodMs: [],
+        points: [],
+        fouls: 0,
+        fouledOutAt: null,
+        availability: [{ from: 0, to: null }],
+      })),
+    });
+  const drift = (state) => {
+    const soFar = plannedMsSoFar(p, state.periodElapsedMs);
+    return Object.fromEntries(state.players.map((pl) => [pl.id, pl.totalMs - soFar[pl.id]]));
+  };
+
+  it("matches the minutes played when the plan is followed", () => {
+    const state = [
+      act.start(0),
+      act.tick(4 * MIN),
+      act.applyLineup(p.slices[1].lineup),
+      act.tick(6 * MIN),
+    ].reduce(gameReducer, newGame());
+    expect(drift(state)).toEqual({ 1: 0, 2: 0, 3: 0, 4: 0 });
+  });
+
+  it("shows the drift when a planned sub is missed", () => {
+    const state = [act.start(0), act.tick(6 * MIN)].reduce(gameReducer, newGame());
+    expect(drift(state)).toEqual({ 1: 2 * MIN, 2: 2 * MIN, 3: -2 * MIN, 4: -2 * MIN });
+  });
+});
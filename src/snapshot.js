@@ -0,0 +1,83 @@
+// ---------- Snapshots (share links, QR codes, backups) ----------
+// A snapshot is a JSON payload squeezed into one URL-safe string:
+//   "<version>z.<base64url(deflate-raw(json))>"  when the browser can compress
+//   "<version>j.<base64url(json)>"               otherwise
+// Payload: { kind: "game" | "backup", createdAt, state, formats,
+//            rosters?, history? }
+// "game" carries the saved game state (and the custom formats it may use);
+// "backup" adds every saved roster and the game history.
+
+export const SNAPSHOT_VERSION = 1;
+// Share links put the snapshot in the URL hash under this key
+export const SNAPSHOT_HASH_KEY = "game";
+// Past this a QR code gets too dense for phone cameras to read reliably
+export const QR_MAX_CHARS = 2000;
+
+const canCompress = () =>
+  typeof CompressionStream !== "undefined" &&
+  typeof DecompressionStream !== "undefined";
+
+const toBase64Url = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) => {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+};
+
+const pipeThrough = async (bytes, stream) =>
+  new Uint8Array(
+    await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer()
+  );
+
+export async function encodeSnapshot(payload) {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  if (canCompress()) {
+    const packed = await pipeThrough(bytes, new CompressionStream("deflate-raw"));
+    return `${SNAPSHOT_VERSION}z.${toBase64Url(packed)}`;
+  }
+  return `${SNAPSHOT_VERSION}j.${toBase64Url(bytes)}`;
+}
+
+// Throws an Error with a message fit for the user when the text isn't usable
+export async function decodeSnapshot(text) {
+  const match = String(text)
+    .trim()
+    .match(/^(\d+)([zj])\.([A-Za-z0-9_-]+)$/);
+  if (!match) throw new Error("That isn't a game snapshot.");
+  const [, version, mode, body] = match;
+  if (Number(version) > SNAPSHOT_VERSION) {
+    throw new Error("That snapshot is from a newer version of the app.");
+  }
+  if (mode === "z" && !canCompress()) {
+    throw new Error("This browser can't open compressed snapshots.");
+  }
+  let payload;
+  try {
+    let bytes = fromBase64Url(body);
+    if (mode === "z") {
+      bytes = await pipeThrough(bytes, new DecompressionStream("deflate-raw"));
+    }
+    payload = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error("The snapshot is damaged or incomplete.");
+  }
+  if (!payload?.state || !["game", "backup"].includes(payload.kind)) {
+    throw new Error("The snapshot has no game in it.");
+  }
+  return payload;
+}
+
+export const snapshotLink = (code) =>
+  `${location.origin}${location.pathname}#${SNAPSHOT_HASH_KEY}=${code}`;
+
+// The snapshot in the current URL hash, if any
+export const snapshotFromHash = () => {
+  const params = new URLSearchParams(location.hash.slice(1));
+  return params.get(SNAPSHOT_HASH_KEY);
+};
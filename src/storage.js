@@ -0,0 +1,451 @@
+import { RULE_TYPES } from "./compliance.js";
+import { formatById, normalizeFormat } from "./formats.js";
+import {
+  localStorageBackend,
+  memoryBackend,
+  openIndexedDbBackend,
+} from "./storageBackends.js";
+
+// ---------- Versioned storage ----------
+// Each store is saved under one key as { version, savedAt, data }, in
+// IndexedDB or localStorage (see storageBackends.js). Data from older builds
+// (bare values under the old per-version keys) is upgraded one version at a
+// time through the store's migrations, then checked by its validator, which
+// repairs what it can and rejects what it can't:
+//   validate(data) → { data, repairs: [text] } | { error }
+// Writes go through the same validator, so a broken value is never written
+// over a good one. The game state also keeps a recovery copy of the last good
+// save, refreshed every RECOVERY_INTERVAL_MS, and falls back to it when the
+// main copy can't be read.
+
+const RECOVERY_INTERVAL_MS = 30 * 1000;
+
+const isObj = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isMs = (v) => Number.isFinite(v) && v >= 0;
+// Non-negative numbers, zero-filled or truncated to length n
+const fitMs = (arr, n) =>
+  Array.from({ length: n }, (_, i) => (Array.isArray(arr) && isMs(arr[i]) ? arr[i] : 0));
+const count = (v, fallback = 0) => (isMs(v) ? Math.floor(v) : fallback);
+const text = (v, fallback = "") => (typeof v === "string" ? v : fallback);
+
+// ---------- Game state ----------
+// v2: the bare object saved under "pt_state_v2". The earliest saves had a
+//     separate overtime clock (otElapsedMs), numPlayers, no player ids and no
+//     formatDef.
+// v3: overtime periods live in periodElapsedMs, ids are required and the
+//     state carries its formatDef.
+// There is no v1 migration: the build that moved to "pt_state_v2" stopped
+// reading the v1 key, so whatever game was left there was dropped back then,
+// and every game saved since is v2 or later. (Rosters, history and formats
+// start at v1.)
+const stateMigrations = {
+  2: (s) => {
+    const { numPlayers, otElapsedMs, ...rest } = s;
+    const formatDef =
+      rest.formatDef ?? formatById(rest.format, readStore("formats").data);
+    let periodElapsedMs = rest.periodElapsedMs ?? [];
+    const overtimes = rest.overtimes ?? 0;
+    // The old overtime clock becomes the last overtime period; players weren't
+    // credited for overtime then, so their regulation minutes get zeros after
+    const folded =
+      otElapsedMs != null && overtimes > 0 && periodElapsedMs.length === formatDef.periods;
+    const n = formatDef.periods + overtimes;
+    if (folded) periodElapsedMs = [...fitMs(periodElapsedMs, n - 1), otElapsedMs];
+    return {
+      ...rest,
+      formatDef,
+      periodElapsedMs,
+      players: Array.isArray(rest.players)
+        ? rest.players.map((p, i) =>
+            isObj(p)
+              ? {
+                  id: i + 1,
+                  ...p,
+                  ...(folded && p.periodMs?.length === formatDef.periods
+                    ? { periodMs: fitMs(p.periodMs, n) }
+                    : {}),
+                }
+              : p
+          )
+        : rest.players,
+    };
+  },
+};
+
+const validWindow = (w) => isObj(w) && isMs(w.from) && (w.to === null || isMs(w.to));
+
+export function validateState(data) {
+  if (!isObj(data) || !Array.isArray(data.players)) {
+    return { error: "The saved game has no players." };
+  }
+  const repairs = [];
+  const players = data.players.filter(isObj);
+  if (!players.length) return { error: "The saved game has no players." };
+  if (players.length !== data.players.length) repairs.push("unreadable players");
+
+  const formatDef = isObj(data.formatDef)
+    ? normalizeFormat(data.formatDef)
+    : formatById(data.format);
+  const overtimes = count(data.overtimes);
+  const n = formatDef.periods + overtimes;
+  const fit = (arr, what) => {
+    if (!Array.isArray(arr) || arr.length !== n || !arr.every(isMs)) repairs.push(what);
+    return fitMs(arr, n);
+  };
+
+  const ids = new Set();
+  const cleanPlayers = players.map((p, i) => {
+    let id = p.id;
+    if ((typeof id !== "string" && !Number.isFinite(id)) || ids.has(id)) {
+      repairs.push(`player id for ${text(p.name, `player ${i + 1}`)}`);
+      id = `p${Date.now().toString(36)}r${i}`;
+    }
+    ids.add(id);
+    const absent = !!p.absent;
+    const availability = Array.isArray(p.availability)
+      ? p.availability.filter(validWindow)
+      : absent
+      ? []
+      : [{ from: 0, to: null }];
+    return {
+      ...p,
+      id,
+      name: text(p.name, `Player ${i + 1}`),
+      number: text(p.number),
+      notes: text(p.notes),
+      color: text(p.color),
+      active: !!p.active && !absent,
+      pinned: !!p.pinned,
+      absent,
+      totalMs: isMs(p.totalMs) ? p.totalMs : 0,
+      periodMs: fit(p.periodMs, `minutes by period for ${text(p.name, `player ${i + 1}`)}`),
+      points: fitMs(p.points, n),
+      fouls: count(p.fouls),
+      fouledOutAt: isMs(p.fouledOutAt) ? p.fouledOutAt : null,
+      availability,
+      positions: Array.isArray(p.positions) ? p.positions.filter((s) => typeof s === "string") : [],
+    };
+  });
+
+  const anchor = data.clockAnchor;
+  const anchorOk =
+    isObj(anchor) &&
+    Number.isInteger(anchor.period) &&
+    isMs(anchor.baseMs) &&
+    isMs(anchor.startedAt);
+  if (data.running && !anchorOk) repairs.push("running clock");
+  const teamFouls = isObj(data.teamFouls) ? data.teamFouls : {};
+  const periodMinutes = Number(data.periodMinutes);
+
+  return {
+    repairs,
+    data: {
+      ...data,
+      formatDef,
+      players: cleanPlayers,
+      onCourt: Math.min(
+        cleanPlayers.length,
+        Math.max(1, count(data.onCourt, Math.min(5, cleanPlayers.length)))
+      ),
+      periodMinutes:
+        periodMinutes > 0 && periodMinutes <= 90 ? periodMinutes : formatDef.periodMinutes,
+      overtimes,
+      periodElapsedMs: fit(data.periodElapsedMs, "period clocks"),
+      currentPeriod: Math.min(n - 1, count(data.currentPeriod)),
+      timeoutsUsed: count(data.timeoutsUsed),
+      oppTimeoutsUsed: count(data.oppTimeoutsUsed),
+      teamFouls: { us: fitMs(teamFouls.us, n), opp: fitMs(teamFouls.opp, n) },
+      oppPoints: fitMs(data.oppPoints, n),
+      playRules: Array.isArray(data.playRules)
+        ? data.playRules.filter((r) => isObj(r) && RULE_TYPES.some((t) => t.value === r.type))
+        : [],
+      signature: isObj(data.signature) && typeof data.signature.name === "string"
+        ? data.signature
+        : null,
+      rotationPlan: isObj(data.rotationPlan) ? data.rotationPlan : null,
+      events: Array.isArray(data.events)
+        ? data.events.filter((e) => isObj(e) && typeof e.type === "string")
+        : [],
+      running: !!data.running && anchorOk,
+      clockAnchor: anchorOk ? anchor : null,
+    },
+  };
+}
+
+// ---------- Rosters, history, formats ----------
+const validateRosters = (data) => {
+  if (!isObj(data)) return { error: "Saved rosters are unreadable." };
+  const repairs = [];
+  const rosters = {};
+  for (const [name, entry] of Object.entries(data)) {
+    const players = isObj(entry) && Array.isArray(entry.players)
+      ? entry.players.filter((p) => isObj(p) && typeof p.name === "string")
+      : [];
+    if (!players.length) {
+      repairs.push(`roster "${name}"`);
+      continue;
+    }
+    // Untouched rosters stay the same objects, so backends can skip them
+    rosters[name] =
+      players.length === entry.players.length && isObj(entry.season)
+        ? entry
+        : { ...entry, players, season: isObj(entry.season) ? entry.season : {} };
+  }
+  return { data: rosters, repairs };
+};
+
+const validateHistory = (data) => {
+  if (!Array.isArray(data)) return { error: "Saved game history is unreadable." };
+  const games = data.filter(
+    (g) => isObj(g) && Array.isArray(g.players) && Array.isArray(g.periodElapsedMs)
+  );
+  return {
+    data: games,
+    repairs: games.length === data.length ? [] : ["unreadable archived games"],
+  };
+};
+
+const validateFormats = (data) => {
+  if (!Array.isArray(data)) return { error: "Saved formats are unreadable." };
+  const formats = data.filter((f) => isObj(f) && f.id != null).map(normalizeFormat);
+  return {
+    data: formats,
+    repairs: formats.length === data.length ? [] : ["unreadable formats"],
+  };
+};
+
+const STORES = {
+  state: {
+    key: "pt_state",
+    version: 3,
+    legacy: [["pt_state_v2", 2]],
+    migrations: stateMigrations,
+    validate: validateState,
+    fallback: null,
+    recovery: true,
+  },
+  rosters: {
+    key: "pt_rosters",
+    version: 1,
+    legacy: [["pt_rosters_v1", 1]],
+    migrations: {},
+    validate: validateRosters,
+    fallback: {},
+  },
+  history: {
+    key: "pt_history",
+    version: 1,
+    legacy: [["pt_history_v1", 1]],
+    migrations: {},
+    validate: validateHistory,
+    fallback: [],
+  },
+  formats: {
+    key: "pt_formats",
+    version: 1,
+    legacy: [["pt_formats_v1", 1]],
+    migrations: {},
+    validate: validateFormats,
+    fallback: [],
+  },
+};
+
+const recoveryKey = (store) => `${store.key}_recovery`;
+const unreadableKey = (store) => `${store.key}_unreadable`;
+// Every key this module may use, for loading and for moving between backends
+const ALL_KEYS = Object.values(STORES).flatMap((store) => [
+  store.key,
+  recoveryKey(store),
+  unreadableKey(store),
+  ...store.legacy.map(([key]) => key),
+]);
+
+// ---------- Cache and write batching ----------
+// Reads come from an in-memory copy that openStorage() fills before the app
+// starts; writes update it at once and reach the backend shortly after.
+// Batched writes (the game state while the clock runs) wait up to BATCH_MS,
+// so a running game is saved every couple of seconds instead of every tick.
+const BATCH_MS = 2000;
+const cache = new Map();
+const pending = new Map();
+let backend = localStorageBackend;
+let flushTimer = null;
+let flushDue = Infinity;
+let writing = Promise.resolve();
+
+// Send everything pending to the backend; resolves once it is written
+export function flushStorage() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  flushDue = Infinity;
+  if (pending.size) {
+    const changes = new Map(pending);
+    pending.clear();
+    writing = writing
+      .then(() => backend.save(changes))
+      .catch((err) => console.warn(`Couldn't save to ${backend.name}:`, err));
+  }
+  return writing;
+}
+
+const schedule = (delay) => {
+  const due = Date.now() + delay;
+  if (flushTimer && due >= flushDue) return;
+  clearTimeout(flushTimer);
+  flushDue = due;
+  flushTimer = setTimeout(flushStorage, delay);
+};
+const put = (key, value, delay = 0) => {
+  cache.set(key, value);
+  pending.set(key, value);
+  schedule(delay);
+};
+const remove = (key) => {
+  cache.delete(key);
+  pending.set(key, undefined);
+  schedule(0);
+};
+
+// Pick a backend and load everything into the cache. IndexedDB starts out
+// with whatever this browser kept in localStorage, which is cleared once the
+// copy is safely written. Resolves to the backend's name; if nothing can be
+// opened at all the app runs on the in-memory cache alone. Passing a
+// backend skips the choice (the tests use the memory one).
+export async function openStorage(preferred) {
+  try {
+    await loadBackend(preferred);
+  } catch (err) {
+    console.warn("No storage available, keeping this session in memory:", err);
+    backend = memoryBackend;
+  }
+  if (typeof document !== "undefined") {
+    // Don't leave a batch behind when the page goes away
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") flushStorage();
+    });
+    window.addEventListener("pagehide", flushStorage);
+  }
+  return backend.name;
+}
+
+async function loadBackend(preferred) {
+  if (preferred) {
+    (await preferred.load(ALL_KEYS)).forEach((value, key) => cache.set(key, value));
+    backend = preferred;
+    return;
+  }
+  const idb = await openIndexedDbBackend();
+  let values = null;
+  if (idb) {
+    try {
+      values = await idb.load(ALL_KEYS);
+      if (!values.size) {
+        const old = await localStorageBackend.load(ALL_KEYS);
+        if (old.size) {
+          await idb.save(old);
+          // Left behind if it won't clear; IndexedDB is read first from now on
+          await localStorageBackend
+            .save(new Map([...old.keys()].map((k) => [k, undefined])))
+            .catch(() => {});
+        }
+        values = old;
+      }
+      backend = idb;
+    } catch (err) {
+      console.warn("IndexedDB unavailable, using localStorage:", err);
+      values = null;
+    }
+  }
+  if (!values) {
+    if (!localStorageBackend.usable()) throw new Error("localStorage is blocked");
+    values = await localStorageBackend.load(ALL_KEYS);
+  }
+  values.forEach((value, key) => cache.set(key, value));
+}
+
+// Upgrade and check one stored value; `version` is known for legacy keys,
+// otherwise read from the envelope
+const decode = (store, value, legacyVersion) => {
+  if (typeof value === "string") return { error: "not valid JSON" };
+  let version = legacyVersion;
+  let data = value;
+  if (version == null) {
+    if (!isObj(value) || !Number.isInteger(value.version)) return { error: "no version" };
+    ({ version, data } = value);
+  }
+  if (version > store.version) return { error: "saved by a newer version of the app" };
+  try {
+    for (let v = version; v < store.version; v++) data = store.migrations[v](data);
+  } catch {
+    return { error: `couldn't upgrade from version ${version}` };
+  }
+  return { ...store.validate(data), savedAt: value?.savedAt };
+};
+
+const labelOf = (name) => (name === "state" ? "game" : name);
+const repairNote = (name, repairs) =>
+  `Repaired damaged saved ${labelOf(name)}: ${repairs.join(", ")}.`;
+
+// → { data, notes }: the stored value (or the store's fallback) plus
+// messages worth showing about repairs or recovery
+export function readStore(name) {
+  const store = STORES[name];
+  const notes = [];
+  const current = cache.get(store.key);
+  if (current !== undefined) {
+    const read = decode(store, current);
+    if (!read.error) {
+      if (read.repairs.length) notes.push(repairNote(name, read.repairs));
+      return { data: read.data, notes };
+    }
+    // Set it aside rather than let the next save replace it
+    put(unreadableKey(store), current);
+    notes.push(`Saved ${labelOf(name)} couldn't be read (${read.error}); a copy was set aside.`);
+  } else {
+    // Nothing under the current key yet: bring over data from older builds
+    for (const [key, version] of store.legacy) {
+      const old = cache.get(key);
+      if (old === undefined) continue;
+      const read = decode(store, old, version);
+      if (read.error) continue;
+      if (read.repairs.length) notes.push(repairNote(name, read.repairs));
+      if (writeStore(name, read.data)) remove(key);
+      return { data: read.data, notes };
+    }
+  }
+  if (store.recovery) {
+    const backup = cache.get(recoveryKey(store));
+    const read = backup !== undefined ? decode(store, backup) : null;
+    if (read && !read.error) {
+      const when = read.savedAt ? new Date(read.savedAt).toLocaleTimeString() : "earlier";
+      notes.push(`Restored the recovery copy from ${when}.`);
+      return { data: read.data, notes };
+    }
+  }
+  return { data: store.fallback, notes };
+}
+
+let lastRecoveryAt = 0;
+
+// Validate and save; false when the value was refused. `batch` lets the write
+// wait for the next batch instead of going out right away.
+export function writeStore(name, data, { batch = false } = {}) {
+  const store = STORES[name];
+  const checked = store.validate(data);
+  if (checked.error) {
+    console.warn(`Refused to save ${name}: ${checked.error}`);
+    return false;
+  }
+  const delay = batch ? BATCH_MS : 0;
+  // The copy about to be replaced becomes the recovery copy, as long as it
+  // still reads back cleanly
+  if (store.recovery && Date.now() - lastRecoveryAt >= RECOVERY_INTERVAL_MS) {
+    const current = cache.get(store.key);
+    if (current !== undefined && !decode(store, current).error) {
+      put(recoveryKey(store), current, delay);
+    }
+    lastRecoveryAt = Date.now();
+  }
+  put(store.key, { version: store.version, savedAt: Date.now(), data: checked.data }, delay);
+  return true;
+}
@@ -0,0 +1,146 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+const MIN = 60 * 1000;
+
+// A fresh storage module (and memory backend) per test, opened over `seed`
+let storage;
+let memory;
+const open = async (seed) => {
+  vi.resetModules();
+  ({ memoryBackend: memory } = await import("./storageBackends.js"));
+  storage = await import("./storage.js");
+  await memory.save(new Map(Object.entries(seed)));
+  await storage.openStorage(memory);
+};
+const stored = async (key) => (await memory.load([key])).get(key);
+
+const player = (id, periodMs) => ({
+  id,
+  name: `P${id}`,
+  active: false,
+  totalMs: periodMs.reduce((a, b) => a + b, 0),
+  periodMs,
+});
+const game = (overrides = {}) => ({
+  format: "Quarters",
+  overtimes: 0,
+  currentPeriod: 1,
+  periodElapsedMs: [8 * MIN, 2 * MIN, 0, 0],
+  players: [player(1, [8 * MIN, 2 * MIN, 0, 0]), player(2, [0, 0, 0, 0])],
+  ...overrides,
+});
+const envelope = (data, savedAt = Date.now()) => ({ version: 3, savedAt, data });
+
+afterEach(() => vi.restoreAllMocks());
+
+describe("migrations", () => {
+  it("upgrades a v2 game: the overtime clock becomes a period and players get ids", async () => {
+    await open({
+      pt_state_v2: {
+        ...game({ currentPeriod: 4, periodElapsedMs: [8 * MIN, 8 * MIN, 8 * MIN, 8 * MIN] }),
+        overtimes: 1,
+        otElapsedMs: 3 * MIN,
+        numPlayers: 2,
+        players: [
+          { name: "Ann", periodMs: [8 * MIN, 0, 8 * MIN, 0] },
+          { name: "Bo", periodMs: [0, 8 * MIN, 0, 8 * MIN] },
+        ],
+      },
+    });
+    const { data, notes } = storage.readStore("state");
+    expect(notes).toEqual([]);
+    expect(data.periodElapsedMs).toEqual([8 * MIN, 8 * MIN, 8 * MIN, 8 * MIN, 3 * MIN]);
+    expect(data.formatDef.id).toBe("Quarters");
+    expect(data).not.toHaveProperty("otElapsedMs");
+    expect(data).not.toHaveProperty("numPlayers");
+    expect(data.players.map((p) => p.id)).toEqual([1, 2]);
+    expect(data.players[0].periodMs).toEqual([8 * MIN, 0, 8 * MIN, 0, 0]);
+  });
+
+  it("moves the upgraded game to the current key", async () => {
+    await open({ pt_state_v2: game() });
+    storage.readStore("state");
+    await storage.flushStorage();
+    expect(await stored("pt_state_v2")).toBeUndefined();
+    expect(await stored("pt_state")).toMatchObject({ version: 3, data: { currentPeriod: 1 } });
+  });
+
+  it("brings over v1 rosters as they are", async () => {
+    const rosters = { Tigers: { players: [{ name: "Ann" }], season: {} } };
+    await open({ pt_rosters_v1: rosters });
+    expect(storage.readStore("rosters")).toEqual({ data: rosters, notes: [] });
+  });
+});
+
+describe("validation", () => {
+  it("repairs minutes by period of the wrong length and says so", async () => {
+    await open({
+      pt_state: envelope(game({ players: [player(1, [8 * MIN]), player(2, [0, 0, 0, 0])] })),
+    });
+    const { data, notes } = storage.readStore("state");
+    expect(data.players[0].periodMs).toEqual([8 * MIN, 0, 0, 0]);
+    expect(notes).toEqual(["Repaired damaged saved game: minutes by period for P1."]);
+  });
+
+  it("gives players with a missing or repeated id a new one", async () => {
+    await open({
+      pt_state: envelope(game({ players: [player(1, [0, 0, 0, 0]), player(1, [0, 0, 0, 0])] })),
+    });
+    const { data, notes } = storage.readStore("state");
+    expect(new Set(data.players.map((p) => p.id)).size).toBe(2);
+    expect(notes[0]).toContain("player id for P1");
+  });
+
+  it("refuses to save a game without players, keeping the last good one", async () => {
+    await open({ pt_state: envelope(game()) });
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    expect(storage.writeStore("state", game({ players: [] }))).toBe(false);
+    expect(warn).toHaveBeenCalledWith("Refused to save state: The saved game has no players.");
+    await storage.flushStorage();
+    expect(storage.readStore("state").data.players).toHaveLength(2);
+    expect((await stored("pt_state")).data.players).toHaveLength(2);
+  });
+
+  it("drops rosters with no readable players", async () => {
+    await open({
+      pt_rosters: { version: 1, data: { Tigers: { players: [{ name: "Ann" }] }, Empty: {} } },
+    });
+    const { data, notes } = storage.readStore("rosters");
+    expect(Object.keys(data)).toEqual(["Tigers"]);
+    expect(notes).toEqual(['Repaired damaged saved rosters: roster "Empty".']);
+  });
+});
+
+describe("recovery copy", () => {
+  it("keeps the copy a save replaces", async () => {
+    const before = envelope(game());
+    await open({ pt_state: before });
+    storage.writeStore("state", game({ currentPeriod: 2 }));
+    await storage.flushStorage();
+    expect(await stored("pt_state_recovery")).toEqual(before);
+    expect((await stored("pt_state")).data.currentPeriod).toBe(2);
+  });
+
+  it("falls back to it when the main copy can't be read, setting that aside", async () => {
+    const savedAt = Date.UTC(2026, 9, 1, 18, 30);
+    await open({
+      pt_state: "{ not json",
+      pt_state_recovery: envelope(game({ currentPeriod: 3 }), savedAt),
+    });
+    const { data, notes } = storage.readStore("state");
+    expect(data.currentPeriod).toBe(3);
+    expect(notes).toEqual([
+      "Saved game couldn't be read (not valid JSON); a copy was set aside.",
+      `Restored the recovery copy from ${new Date(savedAt).toLocaleTimeString()}.`,
+    ]);
+    await storage.flushStorage();
+    expect(await stored("pt_state_unreadable")).toBe("{ not json");
+  });
+
+  it("won't read a game saved by a newer version", async () => {
+    await open({ pt_state: { version: 4, data: game() } });
+    const { data, notes } = storage.readStore("state");
+    expect(data).toBeNull();
+    expect(notes[0]).toContain("saved by a newer version of the app");
+  });
+});
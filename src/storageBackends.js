@@ -0,0 +1,206 @@
+// ---------- Storage backends ----------
+// Where storage.js keeps its values. A backend holds parsed values by key:
+//   load(keys) → Promise<Map<key, value>>
+//   save(changes: Map<key, value | undefined>) → Promise   (undefined deletes)
+// IndexedDB is preferred: values are stored as they are (no JSON round trip)
+// and the big collections are split into one record per item, so archiving a
+// game writes that game and not the whole season. localStorage is the
+// fallback for browsers where IndexedDB is missing or blocked, and memory the
+// last resort when even localStorage throws (Safari's SecurityError when
+// storage is disabled): the app still runs, it just forgets on reload.
+
+// Values saved under these keys are { ...envelope, data } where data is a list
+// of games (by id) or an object of rosters (by name); each item gets its own
+// record in the "items" store
+const SPLIT_KEYS = ["pt_history", "pt_rosters"];
+
+const DB_NAME = "playing-time";
+const DB_VERSION = 1;
+// A database stuck opening (blocked by another tab, or a browser that never
+// answers) gets this long before localStorage is used instead
+const OPEN_TIMEOUT_MS = 3000;
+
+export const localStorageBackend = {
+  name: "localStorage",
+  // False where merely touching localStorage throws
+  usable() {
+    try {
+      return typeof localStorage !== "undefined" && localStorage.length >= 0;
+    } catch {
+      return false;
+    }
+  },
+  async load(keys) {
+    const values = new Map();
+    for (const key of keys) {
+      let raw;
+      try {
+        raw = localStorage.getItem(key);
+      } catch (err) {
+        console.warn(`Couldn't read ${key} from localStorage:`, err);
+        continue;
+      }
+      if (raw == null) continue;
+      try {
+        values.set(key, JSON.parse(raw));
+      } catch {
+        // Kept as text so storage.js can report it and set it aside
+        values.set(key, raw);
+      }
+    }
+    return values;
+  },
+  async save(changes) {
+    // Every key gets its try (one over quota shouldn't lose the rest); the
+    // first failure is passed on so storage.js can report it
+    let failure = null;
+    for (const [key, value] of changes) {
+      try {
+        if (value === undefined) localStorage.removeItem(key);
+        else localStorage.setItem(key, JSON.stringify(value));
+      } catch (err) {
+        failure ??= err;
+      }
+    }
+    if (failure) throw failure;
+  },
+};
+
+// Keeps values for as long as the page is open (and the tests run)
+const memoryValues = new Map();
+export const memoryBackend = {
+  name: "memory",
+  load: async (keys) =>
+    new Map(
+      keys.filter((key) => memoryValues.has(key)).map((key) => [key, memoryValues.get(key)])
+    ),
+  save: async (changes) => {
+    changes.forEach((value, key) =>
+      value === undefined ? memoryValues.delete(key) : memoryValues.set(key, value)
+    );
+  },
+};
+
+const request = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const done = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+const itemsOf = (data) =>
+  Array.isArray(data)
+    ? data.map((item, i) => [item?.id ?? `#${i}`, item])
+    : Object.entries(data ?? {});
+
+// Resolves to null when IndexedDB can't be used here
+export async function openIndexedDbBackend() {
+  if (typeof indexedDB === "undefined") return null;
+  let db;
+  try {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore("kv");
+      req.result.createObjectStore("items");
+    };
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        // Should it open after all, don't leave it holding the database
+        req.onsuccess = () => req.result.close();
+        reject(new Error("IndexedDB took too long to open"));
+      }, OPEN_TIMEOUT_MS);
+    });
+    db = await Promise.race([request(req), timeout]).finally(() => clearTimeout(timer));
+  } catch (err) {
+    console.warn("IndexedDB won't open:", err);
+    return null;
+  }
+
+  // Items already in the database and the id they are stored under, so
+  // unchanged ones aren't written again. Items without an id of their own are
+  // stored by position, which shifts when an earlier one is removed; those
+  // are written again under their new id.
+  const written = new WeakMap();
+  const itemIds = new Map();
+
+  return {
+    name: "IndexedDB",
+    async load(keys) {
+      const tx = db.transaction(["kv", "items"], "readonly");
+      const kv = tx.objectStore("kv");
+      const items = tx.objectStore("items");
+      // Every request goes out at once so the transaction stays open
+      const reads = keys.map((key) => {
+        const range = IDBKeyRange.bound([key], [key, []]);
+        return Promise.all([
+          request(kv.get(key)),
+          SPLIT_KEYS.includes(key) ? request(items.getAllKeys(range)) : [],
+          SPLIT_KEYS.includes(key) ? request(items.getAll(range)) : [],
+        ]);
+      });
+      const values = new Map();
+      (await Promise.all(reads)).forEach(([value, itemKeys, itemValues], k) => {
+        const key = keys[k];
+        if (value === undefined) return;
+        if (!value?.itemIds) {
+          values.set(key, value);
+          return;
+        }
+        const { itemIds: ids, asList, ...envelope } = value;
+        const byId = new Map(itemKeys.map(([, id], i) => [id, itemValues[i]]));
+        const entries = ids.filter((id) => byId.has(id)).map((id) => [id, byId.get(id)]);
+        entries.forEach(([id, item]) => item && typeof item === "object" && written.set(item, id));
+        itemIds.set(key, ids);
+        values.set(key, {
+          ...envelope,
+          data: asList ? entries.map(([, item]) => item) : Object.fromEntries(entries),
+        });
+      });
+      return values;
+    },
+    async save(changes) {
+      const tx = db.transaction(["kv", "items"], "readwrite");
+      const kv = tx.objectStore("kv");
+      const items = tx.objectStore("items");
+      const fresh = [];
+      const idsAfter = new Map();
+      for (const [key, value] of changes) {
+        const split = SPLIT_KEYS.includes(key);
+        if (value === undefined) {
+          kv.delete(key);
+          if (split) items.delete(IDBKeyRange.bound([key], [key, []]));
+          idsAfter.set(key, null);
+          continue;
+        }
+        if (!split || typeof value !== "object" || value.data == null) {
+          kv.put(value, key);
+          continue;
+        }
+        const { data, ...envelope } = value;
+        const entries = itemsOf(data);
+        const ids = entries.map(([id]) => id);
+        for (const [id, item] of entries) {
+          if (written.get(item) === id) continue;
+          items.put(item, [key, id]);
+          fresh.push([id, item]);
+        }
+        for (const id of itemIds.get(key) ?? []) {
+          if (!ids.includes(id)) items.delete([key, id]);
+        }
+        idsAfter.set(key, ids);
+        kv.put({ ...envelope, itemIds: ids, asList: Array.isArray(data) }, key);
+      }
+      await done(tx);
+      // Only what actually committed counts as written
+      fresh.forEach(([id, item]) => item && typeof item === "object" && written.set(item, id));
+      idsAfter.forEach((ids, key) => (ids ? itemIds.set(key, ids) : itemIds.delete(key)));
+    },
+  };
+}
@@ -0,0 +1,63 @@
+// ---------- Service worker ----------
+// Built into dist/sw.js by the serviceWorker() plugin in vite.config.js, which
+// injects this build's precache list as PRECACHE: { version, files }.
+// Everything the app needs is cached on install so it opens with no signal.
+// A new version waits until the page asks it to take over (see pwa.js).
+const PRECACHE = self.__PRECACHE__;
+const CACHE = `pt-${PRECACHE.version}`;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE).then((cache) => cache.addAll(PRECACHE.files))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((k) => k.startsWith("pt-") && k !== CACHE)
+            .map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  if (new URL(request.url).origin !== self.location.origin) return;
+
+  // Navigations get the cached shell so the page always matches its assets
+  if (request.mode === "navigate") {
+    event.respondWith(
+      caches
+        .match("index.html", { cacheName: CACHE })
+        .then((hit) => hit ?? fetch(request))
+    );
+    return;
+  }
+
+  // Cache first, then network (keeping a copy for next time)
+  event.respondWith(
+    caches.match(request).then(
+      (hit) =>
+        hit ??
+        fetch(request).then((res) => {
+          if (res.ok) {
+            const copy = res.clone();
+            caches.open(CACHE).then((cache) => cache.put(request, copy));
+          }
+          return res;
+        })
+    )
+  );
+});
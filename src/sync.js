@@ -0,0 +1,306 @@
+// ---------- Multi-device sync ----------
+// Devices in the same room share one game. Each device keeps running its own
+// clock from the shared wall-clock anchor, so only real changes (subs, clock
+// start/stop, scores, setup…) go over the wire, as full saved-state payloads
+// (see saveState) with Lamport stamps:
+//   { type: "hello" | "state", from, fresh, stamps, state }
+//   stamps: { clock: [rev, from], game: [rev, from], subs: { [id]: [rev, from] } }
+//
+// Conflict rule: the latest change wins, judged separately for
+//   - each player's sub flags (active/pinned),
+//   - the clock (running, anchor, current period and elapsed times),
+//   - everything else in the game,
+// where "latest" is the higher Lamport rev, ties going to the higher device id.
+// So two people subbing different players both stick, and if one starts the
+// clock while the other stops it, whichever acted last wins.
+// The event log isn't stamped: within one game (same gameId) both logs are
+// kept, each entry known by its device and id (see events.js), so neither
+// device's subs drop out of the history. A new game takes the newer log.
+//
+// Transports connect({ onOpen, onMessage, onStatus }) → { send, close }.
+
+const ZERO = [0, ""];
+const newer = (a = ZERO, b = ZERO) => a[0] > b[0] || (a[0] === b[0] && a[1] > b[1]);
+const latest = (a, b) => (newer(a, b) ? a : b ?? a);
+
+const CLOCK_KEYS = ["running", "clockAnchor", "currentPeriod"];
+
+// Split a saved state into what each stamp covers. Time that the clock
+// credits on every tick (elapsed and played ms) is left out: it only moves
+// with the clock and follows whichever device owns the clock.
+export function syncParts(state) {
+  const clock = JSON.stringify(CLOCK_KEYS.map((k) => state[k] ?? null));
+  const subs = Object.fromEntries(
+    state.players.map((p) => [p.id, `${p.active}|${p.pinned}`])
+  );
+  const { periodElapsedMs, events = [], ...rest } = state;
+  for (const k of CLOCK_KEYS) delete rest[k];
+  const game = JSON.stringify({
+    ...rest,
+    players: state.players.map(
+      ({ active, pinned, totalMs, periodMs, ...p }) => p
+    ),
+  });
+  // Entries are only ever appended, so the count and the newest tell a change
+  const log = `${events.length}|${events.length ? eventKey(events.at(-1)) : ""}`;
+  return { clock, subs, game, log };
+}
+
+const eventKey = (e) => `${e.dev ?? ""}:${e.id}`;
+
+// Both logs of one game: local entries, then any only the remote has, in
+// game-clock order (entries logged at the same moment keep their order)
+const unionLog = (local = [], remote = []) => {
+  const seen = new Set(local.map(eventKey));
+  return [...local, ...remote.filter((e) => !seen.has(eventKey(e)))].sort(
+    (a, b) => (a.at ?? 0) - (b.at ?? 0)
+  );
+};
+
+// Stamp whatever changed between two syncParts
+const stampChanges = (prev, next, stamps, stamp) => ({
+  clock: prev.clock !== next.clock ? stamp : stamps.clock,
+  game: prev.game !== next.game ? stamp : stamps.game,
+  subs: Object.fromEntries(
+    Object.keys(next.subs).map((id) => [
+      id,
+      prev.subs[id] !== next.subs[id] ? stamp : stamps.subs[id] ?? ZERO,
+    ])
+  ),
+});
+
+const changed = (prev, next) =>
+  prev.clock !== next.clock ||
+  prev.game !== next.game ||
+  prev.log !== next.log ||
+  Object.keys(next.subs).some((id) => prev.subs[id] !== next.subs[id]);
+
+// Combine two stamped states under the conflict rule above
+export function mergeStates(local, remote) {
+  const gameSide = newer(remote.stamps.game, local.stamps.game) ? remote : local;
+  const clockSide = newer(remote.stamps.clock, local.stamps.clock) ? remote : local;
+  const byId = (side, id) => side.state.players.find((p) => p.id === id);
+  const sameGame = local.state.gameId === remote.state.gameId;
+
+  const state = {
+    ...gameSide.state,
+    ...Object.fromEntries(CLOCK_KEYS.map((k) => [k, clockSide.state[k]])),
+    periodElapsedMs: clockSide.state.periodElapsedMs,
+    events: sameGame
+      ? unionLog(local.state.events, remote.state.events)
+      : gameSide.state.events,
+    players: gameSide.state.players.map((p) => {
+      const subSide = newer(remote.stamps.subs[p.id], local.stamps.subs[p.id])
+        ? remote
+        : local;
+      const subs = byId(subSide, p.id) ?? p;
+      // Played time follows the clock, unless this player's sub came later
+      // (an undo hands minutes back on the device that did it)
+      const ticksSide = newer(subSide.stamps.subs[p.id], clockSide.stamps.clock)
+        ? subSide
+        : clockSide;
+      const ticks = byId(ticksSide, p.id) ?? p;
+      return {
+        ...p,
+        active: subs.active && !p.absent && p.fouledOutAt == null,
+        pinned: subs.pinned,
+        totalMs: ticks.totalMs,
+        periodMs: ticks.periodMs,
+      };
+    }),
+  };
+  const ids = new Set([
+    ...Object.keys(local.stamps.subs),
+    ...Object.keys(remote.stamps.subs),
+  ]);
+  const stamps = {
+    clock: latest(remote.stamps.clock, local.stamps.clock),
+    game: latest(remote.stamps.game, local.stamps.game),
+    subs: Object.fromEntries(
+      [...ids].map((id) => [id, latest(remote.stamps.subs[id], local.stamps.subs[id])])
+    ),
+  };
+  return { state, stamps };
+}
+
+// How far a game has got: time played, then what has been logged, then
+// whether its clock is running now
+const progressOf = (state) => [
+  (state.periodElapsedMs ?? []).reduce((a, b) => a + (b || 0), 0),
+  state.events?.length ?? 0,
+  state.running ? 1 : 0,
+];
+
+// Whether game `a` is further along than game `b` ({ state, from } each).
+// Games just as far along are alike enough that either will do; the device
+// ids only make both devices pick the same one.
+const furtherAlong = (a, b) => {
+  const pa = progressOf(a.state);
+  const pb = progressOf(b.state);
+  const k = pa.findIndex((x, i) => x !== pb[i]);
+  return k === -1 ? a.from > b.from : pa[k] > pb[k];
+};
+
+const maxRev = (stamps) =>
+  Math.max(
+    stamps.clock[0],
+    stamps.game[0],
+    ...Object.values(stamps.subs).map((s) => s[0])
+  );
+
+// One device's membership in a room. publish() is fed every saved state and
+// only sends when something beyond clock ticks changed; onRemoteState gets
+// the merged state whenever another device's change lands here. A listenOnly
+// session (spectators) follows the room without ever sending a state.
+export function createSyncSession({
+  transport,
+  onRemoteState,
+  onStatus,
+  listenOnly = false,
+}) {
+  const from = Math.random().toString(36).slice(2, 10);
+  let rev = 0;
+  let stamps = { clock: ZERO, game: ZERO, subs: {} };
+  let current = null;
+  let parts = null;
+  // Until this device changes something or hears from the room, it defers to
+  // the room's game instead of merging its own stale copy into it. When two
+  // fresh devices meet, neither has changed anything yet; the one whose game
+  // is further along keeps it.
+  let fresh = true;
+
+  const sendState = () =>
+    current &&
+    !listenOnly &&
+    conn.send({ type: "state", from, fresh, stamps, state: current });
+  const adopt = (state) => {
+    current = state;
+    parts = syncParts(state);
+    onRemoteState(state);
+  };
+
+  const conn = transport({
+    onStatus,
+    onOpen: () => {
+      conn?.send({ type: "hello", from });
+      if (!fresh) sendState();
+    },
+    onMessage: (msg) => {
+      if (!msg || msg.from === from) return;
+      if (msg.type === "hello") {
+        sendState();
+        return;
+      }
+      if (msg.type !== "state" || !msg.state) return;
+      rev = Math.max(rev, maxRev(msg.stamps));
+      if (fresh) {
+        // Two fresh devices: the game further along is kept (see
+        // furtherAlong). A spectator has no game of its own to keep.
+        if (
+          !listenOnly &&
+          msg.fresh &&
+          current &&
+          !furtherAlong({ state: msg.state, from: msg.from }, { state: current, from })
+        ) {
+          return;
+        }
+        fresh = false;
+        stamps = msg.stamps;
+        adopt(msg.state);
+        return;
+      }
+      const merged = mergeStates({ state: current, stamps }, msg);
+      stamps = merged.stamps;
+      if (JSON.stringify(merged.state) !== JSON.stringify(current)) {
+        adopt(merged.state);
+      }
+    },
+  });
+
+  return {
+    publish(state) {
+      const next = syncParts(state);
+      const prev = parts;
+      current = state;
+      parts = next;
+      if (!prev || !changed(prev, next)) return;
+      rev += 1;
+      stamps = stampChanges(prev, next, stamps, [rev, from]);
+      fresh = false;
+      sendState();
+    },
+    close: () => conn.close(),
+  };
+}
+
+// Tabs of this browser on this device
+export const broadcastTransport = (room) => ({ onOpen, onMessage, onStatus }) => {
+  const channel = new BroadcastChannel(`pt-sync:${room}`);
+  channel.onmessage = (e) => onMessage(e.data);
+  let closed = false;
+  // Let the session finish wiring up before the first hello goes out
+  setTimeout(() => {
+    if (closed) return;
+    onStatus("connected");
+    onOpen();
+  });
+  return {
+    send: (msg) => !closed && channel.postMessage(msg),
+    close: () => {
+      closed = true;
+      channel.close();
+    },
+  };
+};
+
+// Any device that can reach the relay server (server/relay.js), reconnecting
+// with backoff when the connection drops
+export const relayTransport = (url, room) => ({ onOpen, onMessage, onStatus }) => {
+  let ws = null;
+  let closed = false;
+  let retries = 0;
+  let timer = null;
+  const open = () => {
+    onStatus("connecting");
+    ws = new WebSocket(`${url.replace(/\/+$/, "")}/?room=${encodeURIComponent(room)}`);
+    ws.onopen = () => {
+      retries = 0;
+      onStatus("connected");
+      onOpen();
+    };
+    ws.onmessage = (e) => {
+      try {
+        onMessage(JSON.parse(e.data));
+      } catch {}
+    };
+    ws.onclose = () => {
+      if (closed) return;
+      onStatus("offline");
+      timer = setTimeout(open, Math.min(30000, 1000 * 2 ** retries++));
+    };
+  };
+  open();
+  return {
+    send: (msg) => {
+      if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(timer);
+      ws?.close();
+    },
+  };
+};
+
+// Spectator links join a room read-only: #watch=<room>[&relay=<url>]
+export const spectatorLink = ({ transport, room, url }) => {
+  const params = new URLSearchParams({ watch: room.trim() });
+  if (transport === "relay") params.set("relay", url);
+  return `${location.origin}${location.pathname}#${params}`;
+};
+
+export const watchFromHash = () => {
+  const params = new URLSearchParams(location.hash.slice(1));
+  const room = params.get("watch");
+  return room ? { room, relay: params.get("relay") } : null;
+};
@@ -0,0 +1,184 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { act, createGame, gameReducer } from "./engine.js";
+import { SUB_TYPES, buildStints, effectiveEvents } from "./events.js";
+import { FORMAT_PRESETS } from "./formats.js";
+import { createSyncSession, mergeStates } from "./sync.js";
+
+const MIN = 60 * 1000;
+
+const newGame = (deviceId) =>
+  createGame({
+    gameId: "g1",
+    deviceId,
+    config: {
+      format: FORMAT_PRESETS.find((f) => f.id === "Quarters"),
+      periodLengthMs: 8 * MIN,
+      onCourt: 2,
+      otCountsTowardGoal: true,
+      maxStintMs: 0,
+      minRestMs: 0,
+    },
+    players: [1, 2, 3, 4].map((id) => ({
+      id,
+      name: `P${id}`,
+      positions: [],
+      active: id <= 2,
+      pinned: false,
+      absent: false,
+      totalMs: 0,
+      periodMs: [],
+      points: [],
+      fouls: 0,
+      fouledOutAt: null,
+      availability: [{ from: 0, to: null }],
+    })),
+  });
+
+const play = (state, ...actions) => actions.reduce(gameReducer, state);
+// The parts of the engine state the app saves (and so syncs)
+const saved = (g) => ({
+  gameId: g.gameId,
+  players: g.players,
+  currentPeriod: g.currentPeriod,
+  periodElapsedMs: g.periodElapsedMs,
+  running: g.running,
+  clockAnchor: g.clockAnchor,
+  events: g.events,
+});
+const activeIds = (state) => state.players.filter((p) => p.active).map((p) => p.id);
+
+// A room whose messages wait in a queue until flush()
+const room = () => {
+  const peers = [];
+  const queue = [];
+  const transport = ({ onOpen, onMessage }) => {
+    peers.push(onMessage);
+    queue.push(onOpen);
+    return {
+      send: (msg) =>
+        queue.push(() =>
+          peers.forEach((deliver) => deliver(structuredClone(msg)))
+        ),
+      close: () => {},
+    };
+  };
+  const flush = () => {
+    while (queue.length) queue.shift()();
+  };
+  return { transport, flush };
+};
+
+// Sessions joined in turn, with device ids in the order of `rolls` (a higher
+// roll gives a higher id); onRemoteState results are kept by name
+const joinRoom = (rolls, options = {}) => {
+  const { transport, flush } = room();
+  const seen = {};
+  const sessions = Object.fromEntries(
+    Object.entries(rolls).map(([name, roll]) => {
+      vi.spyOn(Math, "random").mockReturnValueOnce(roll);
+      const session = createSyncSession({
+        transport,
+        onRemoteState: (state) => (seen[name] = state),
+        onStatus: () => {},
+        listenOnly: options[name]?.listenOnly,
+      });
+      return [name, session];
+    })
+  );
+  return { sessions, seen, flush };
+};
+
+afterEach(() => vi.restoreAllMocks());
+
+describe("joining a room", () => {
+  const played = saved(play(newGame("a"), act.start(0), act.tick(3 * MIN), act.stop()));
+  const stale = saved(newGame("b"));
+
+  it("keeps the game further along when two fresh devices meet", () => {
+    for (const rolls of [{ coach: 0.1, assistant: 0.9 }, { coach: 0.9, assistant: 0.1 }]) {
+      const { sessions, seen, flush } = joinRoom(rolls);
+      sessions.coach.publish(played);
+      sessions.assistant.publish(stale);
+      flush();
+      expect(seen.coach).toBeUndefined();
+      expect(seen.assistant).toEqual(played);
+    }
+  });
+
+  it("shows a spectator the coach's game whichever id is higher", () => {
+    for (const rolls of [{ coach: 0.1, parent: 0.9 }, { coach: 0.9, parent: 0.1 }]) {
+      const { sessions, seen, flush } = joinRoom(rolls, { parent: { listenOnly: true } });
+      // A coach who hasn't changed anything since turning sync on is fresh
+      sessions.coach.publish(stale);
+      flush();
+      expect(seen.parent).toEqual(stale);
+    }
+  });
+});
+
+describe("merging devices", () => {
+  it("keeps both devices' subs when they sub at the same time", () => {
+    const { transport, flush } = room();
+    const seen = {};
+    const join = (name) =>
+      createSyncSession({
+        transport,
+        onRemoteState: (state) => (seen[name] = state),
+        onStatus: () => {},
+      });
+    const a = join("a");
+    const b = join("b");
+    // Both have the game that "a" started; each then subs a different player
+    const onA = play(newGame("a"), act.start(0), act.tick(MIN));
+    const onB = { ...onA, deviceId: "b" };
+    a.publish(saved(onA));
+    b.publish(saved(onB));
+    a.publish(saved(play(onA, act.toggleActive(0), act.toggleActive(2))));
+    b.publish(saved(play(onB, act.toggleActive(1), act.toggleActive(3))));
+    flush();
+
+    for (const state of [seen.a, seen.b]) {
+      expect(activeIds(state)).toEqual([3, 4]);
+      const subs = effectiveEvents(state.events).filter((e) =>
+        SUB_TYPES.includes(e.type)
+      );
+      expect(subs.map((e) => e.playerId).sort()).toEqual([1, 2, 3, 4]);
+      expect(buildStints(state.events, state.players)[1]).toMatchObject([
+        { start: 0, end: MIN },
+      ]);
+    }
+  });
+
+  it("keeps the minutes an undo on the other device handed back", () => {
+    const subbed = play(
+      newGame("a"),
+      act.start(0),
+      act.tick(MIN),
+      act.toggleActive(0),
+      act.tick(3 * MIN)
+    );
+    const undone = play(subbed, act.undoSub());
+    const stamps = (sub) => ({
+      clock: [1, "a"],
+      game: [1, "a"],
+      subs: { 1: sub, 2: [1, "a"], 3: [1, "a"], 4: [1, "a"] },
+    });
+    const { state } = mergeStates(
+      { state: saved(subbed), stamps: stamps([2, "a"]) },
+      { state: saved(undone), stamps: stamps([3, "b"]) }
+    );
+    expect(state.players[0]).toMatchObject({ active: true, totalMs: 3 * MIN });
+    expect(effectiveEvents(state.events).at(-1).type).toBe("period_start");
+  });
+
+  it("takes the newer game's log after a reset", () => {
+    const old = play(newGame("a"), act.toggleActive(0));
+    const fresh = play(old, act.reset({ gameId: "g2" }));
+    const { state } = mergeStates(
+      { state: saved(old), stamps: { clock: [1, "a"], game: [1, "a"], subs: {} } },
+      { state: saved(fresh), stamps: { clock: [1, "a"], game: [2, "b"], subs: {} } }
+    );
+    expect(state.gameId).toBe("g2");
+    expect(state.events).toEqual([]);
+  });
+});
@@ -0,0 +1,9 @@
+// ---------- Clock formatting ----------
+export const pad = (n) => String(n).padStart(2, "0");
+
+export const msToClock = (ms) => {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  const mm = Math.floor(s / 60);
+  const ss = s % 60;
+  return `${pad(mm)}:${pad(ss)}`;
+};
@@ -1,11 +1,44 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync, writeFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+import { join } from 'node:path'
+
+// Files copied from public/ that the app needs offline
+const PUBLIC_PRECACHE = ['manifest.webmanifest', 'icon.svg']
+
+// Write dist/sw.js from src/sw.js with this build's precache list. The
+// version changes whenever any emitted file does, which is what lets the
+// installed app notice an update.
+function serviceWorker() {
+  return {
+    name: 'pt-service-worker',
+    apply: 'build',
+    writeBundle(options, bundle) {
+      const built = Object.keys(bundle).filter((f) => !f.endsWith('.map'))
+      const hash = createHash('sha256')
+      for (const name of built.sort()) {
+        const item = bundle[name]
+        hash.update(name)
+        hash.update(item.type === 'chunk' ? item.code : item.source)
+      }
+      const precache = {
+        version: hash.digest('hex').slice(0, 12),
+        files: ['./', ...built, ...PUBLIC_PRECACHE],
+      }
+      const source = readFileSync('src/sw.js', 'utf8').replace(
+        'self.__PRECACHE__',
+        JSON.stringify(precache)
+      )
+      writeFileSync(join(options.dir, 'sw.js'), source)
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   // For GitHub Pages: set base to your repo name
   // Change 'minutecounter' to match your actual repository name
   base: '/minutecounter/',
 })
-